@@ -0,0 +1,124 @@
+// Builds into dist/ and publishes it to a branch.
+//
+// `build` assembles the whole site (hand-written pages, static files, generated posts and their
+// assets) in a staging folder next to dist/, starting from the last build so the sync stays
+// incremental. dist/ is only replaced once every post has rendered and the staged site passes
+// validation; a failed build leaves the previous dist/ as it was. `publish` commits dist/ to a
+// branch (gh-pages by default) without touching the working tree or the current branch.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT_DIR, config } = require('./config');
+const { copySiteFiles } = require('./dryrun');
+const { syncSite } = require('./sync');
+const { validateSite, printValidationReport } = require('./validate');
+
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+// Tells GitHub Pages to serve the files as they are (Jekyll would drop the dotfile manifests)
+const NOJEKYLL_FILE = '.nojekyll';
+
+// Copy config.static (styles, scripts, favicon...) from `fromDir` into `toDir`
+function copyStaticFiles(fromDir, toDir) {
+  config.static.forEach(file => {
+    const sourcePath = path.join(fromDir, file);
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`Static file not found: ${file} (listed in site.config.js static)`);
+    }
+    fs.cpSync(sourcePath, path.join(toDir, file), { recursive: true });
+  });
+}
+
+// Put `newDir` in place of `targetDir`. Both renames stay on one filesystem, so dist/ is
+// never half-written; if the second rename fails the previous build is restored.
+function swapDirectory(newDir, targetDir) {
+  const previousDir = `${newDir}-previous`;
+  const hadTarget = fs.existsSync(targetDir);
+  if (hadTarget) fs.renameSync(targetDir, previousDir);
+  try {
+    fs.renameSync(newDir, targetDir);
+  } catch (err) {
+    if (hadTarget) fs.renameSync(previousDir, targetDir);
+    throw err;
+  }
+  fs.rmSync(previousDir, { recursive: true, force: true });
+}
+
+// Build the site into a staging folder and swap it in as `distDir` if it's complete and valid.
+// The first build starts from the site committed in `sourceDir`.
+// Returns { built, failures, report } (report is null when posts failed).
+async function buildSite(source, options, { distDir = DIST_DIR, sourceDir = ROOT_DIR } = {}) {
+  const stagingDir = fs.mkdtempSync(`${distDir}-`);
+  try {
+    if (fs.existsSync(distDir)) fs.cpSync(distDir, stagingDir, { recursive: true });
+    else copySiteFiles(sourceDir, stagingDir);
+    copyStaticFiles(sourceDir, stagingDir);
+    fs.writeFileSync(path.join(stagingDir, NOJEKYLL_FILE), '');
+    console.log(`🏗️  Building the site into ${path.relative(sourceDir, stagingDir)}/`);
+
+    const { failures } = await syncSite(source, options, { rootDir: stagingDir });
+    if (failures.length > 0) return { built: false, failures, report: null };
+
+    console.log('\n🔎 Validating the build...');
+    const report = validateSite(stagingDir);
+    printValidationReport(report);
+    if (report.errors > 0) return { built: false, failures, report };
+
+    swapDirectory(stagingDir, distDir);
+    return { built: true, failures, report };
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+// Commit `distDir` to `branch` on `remote` and push it. The commit goes on top of the branch's
+// last published commit (or starts the branch), using a temporary index so neither the
+// working tree nor the checked-out branch changes. Returns false when there's nothing new.
+function publishSite(distDir = DIST_DIR, { branch, remote } = config.publish, repoDir = ROOT_DIR) {
+  if (!fs.existsSync(distDir)) {
+    throw new Error(`${path.relative(repoDir, distDir) || distDir}/ not found: run npm run build first`);
+  }
+  const git = (args, env = {}) => execFileSync('git', args, {
+    cwd: repoDir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, ...env }
+  }).trim();
+
+  // Last published commit, if the branch exists yet
+  let parent = null;
+  try {
+    git(['fetch', '--quiet', remote, branch]);
+    parent = git(['rev-parse', 'FETCH_HEAD']);
+  } catch (err) {
+    console.log(`   ${remote}/${branch} doesn't exist yet, creating it`);
+  }
+
+  const indexFile = path.join(os.tmpdir(), `fetch-notion-publish-${process.pid}.index`);
+  try {
+    const env = { GIT_INDEX_FILE: indexFile, GIT_WORK_TREE: distDir, GIT_DIR: git(['rev-parse', '--absolute-git-dir']) };
+    execFileSync('git', ['add', '--all', '.'], { cwd: distDir, env: { ...process.env, ...env } });
+    const tree = git(['write-tree'], env);
+    if (parent && git(['rev-parse', `${parent}^{tree}`]) === tree) {
+      console.log(`   No changes to publish (${remote}/${branch} is up to date).`);
+      return false;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    const commit = git(['commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', `Publish site - ${date}`]);
+    git(['push', '--quiet', remote, `${commit}:refs/heads/${branch}`]);
+    console.log(`   Pushed ${commit.slice(0, 7)} to ${remote}/${branch}`);
+    return true;
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
+
+module.exports = {
+  DIST_DIR,
+  swapDirectory,
+  buildSite,
+  publishSite
+};
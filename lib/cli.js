@@ -0,0 +1,109 @@
+// Command line options for fetch-notion.js
+
+// Values accepted by --format
+const OUTPUT_FORMATS = ['html', 'markdown', 'both'];
+
+// Commands (first argument, default "sync"): sync publishes from Notion, preview serves drafts
+// locally, pages only rebuilds the hand-written pages from templates/pages/, validate checks the
+// generated site without fetching anything, build assembles the whole site into dist/ and
+// publish pushes dist/ to a branch (gh-pages by default)
+const COMMANDS = ['sync', 'preview', 'pages', 'validate', 'build', 'publish'];
+
+// Read the value of a CLI option given as "--name value" or "--name=value"
+function getArgValue(argv, name) {
+  const prefix = `--${name}=`;
+  const inline = argv.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = argv.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = argv[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`Missing value for --${name}`);
+  }
+  return value;
+}
+
+// Parse the command and its flags
+function parseArgs(argv) {
+  const command = argv[0] && !argv[0].startsWith('--') ? argv[0] : 'sync';
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command (expected ${COMMANDS.join('|')}): ${command}`);
+  }
+
+  const since = getArgValue(argv, 'since');
+  if (since !== undefined && Number.isNaN(Date.parse(since))) {
+    throw new Error(`Invalid --since date: ${since}`);
+  }
+
+  const limitValue = getArgValue(argv, 'limit');
+  const limit = limitValue === undefined ? undefined : Number(limitValue);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`Invalid --limit (expected a positive integer): ${limitValue}`);
+  }
+
+  const slug = getArgValue(argv, 'slug');
+
+  // Save Notion API responses to a JSON file, or build from one offline
+  const record = getArgValue(argv, 'record');
+  const replay = getArgValue(argv, 'replay');
+  if (record && replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  if (record && command === 'preview') {
+    throw new Error('--record cannot be used with preview');
+  }
+
+  // Local port for the preview server
+  const portValue = getArgValue(argv, 'port');
+  const port = portValue === undefined ? undefined : Number(portValue);
+  if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    throw new Error(`Invalid --port: ${portValue}`);
+  }
+
+  // Branch `publish` pushes to (overrides config.publish.branch)
+  const branch = getArgValue(argv, 'branch');
+  if (branch !== undefined && command !== 'publish') {
+    throw new Error('--branch only works with publish');
+  }
+
+  // Build into a temporary copy and report the changes instead of writing them
+  const dryRun = argv.includes('--dry-run');
+  const diff = argv.includes('--diff');
+  if (diff && !dryRun) {
+    throw new Error('--diff only works with --dry-run');
+  }
+  if (dryRun && (command !== 'sync' || argv.includes('--push'))) {
+    throw new Error('--dry-run only works with sync (and without --push)');
+  }
+
+  const format = getArgValue(argv, 'format') || 'html';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Invalid --format (expected ${OUTPUT_FORMATS.join('|')}): ${format}`);
+  }
+
+  return {
+    command,
+    force: argv.includes('--force'),
+    keepImages: argv.includes('--keep-images'),
+    push: argv.includes('--push'),
+    dryRun,
+    diff,
+    since,
+    slug,
+    limit,
+    format,
+    record,
+    replay,
+    port,
+    branch,
+    // Partial builds only rewrite the selected posts; index, feeds and cleanup are left alone
+    partial: Boolean(since || slug || limit)
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  COMMANDS,
+  parseArgs
+};
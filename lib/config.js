@@ -0,0 +1,89 @@
+// Site configuration: loads site.config.js and derives per-collection paths and URLs
+
+const fs = require('fs');
+const path = require('path');
+
+// Repo root: output folders, site.config.js and plugin paths are relative to it
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Output folders for a collection built under `rootDir` (the repo root, or e.g. a preview folder)
+function getCollectionDirs(outputDir, rootDir = ROOT_DIR) {
+  const dir = path.join(rootDir, outputDir);
+  return { dir, imagesDir: path.join(dir, 'images'), assetsDir: path.join(dir, 'assets') };
+}
+
+// Load site.config.js and fill in derived collection fields (absolute dirs and URLs)
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${path.relative(ROOT_DIR, configPath)}`);
+  }
+
+  let siteConfig;
+  try {
+    siteConfig = require(configPath);
+  } catch (err) {
+    throw new Error(`Could not load ${path.basename(configPath)}: ${err.message}`);
+  }
+  const collections = (siteConfig.collections || []).map((collection, index) => {
+    const label = collection.name || `collections[${index}]`;
+    for (const key of ['name', 'databaseId', 'outputDir']) {
+      if (!collection[key]) {
+        throw new Error(`${label} in ${path.basename(configPath)} is missing "${key}"`);
+      }
+    }
+
+    const outputDir = collection.outputDir.replace(/^\/+|\/+$/g, '');
+    const urlPrefix = collection.urlPrefix || `/${outputDir}/`;
+    return {
+      indexTemplate: 'years',
+      feeds: false,
+      stickyToc: false,
+      search: false,
+      relatedPosts: 3,
+      codeLineNumbers: false,
+      codeCopyButton: false,
+      ...collection,
+      properties: { title: 'Title', date: 'Published Date', tags: 'Tags', summary: 'Summary', slug: 'Slug', ...collection.properties },
+      outputDir,
+      urlPrefix,
+      ...getCollectionDirs(outputDir),
+      url: new URL(urlPrefix, siteConfig.siteUrl).href
+    };
+  });
+
+  if (collections.length === 0) {
+    throw new Error(`No collections defined in ${path.basename(configPath)}`);
+  }
+
+  // Renderer plugin files, relative to the repo root
+  const plugins = (siteConfig.plugins || []).map(plugin => path.resolve(ROOT_DIR, plugin));
+
+  // Post-build checks (lib/validate.js): 'error' fails validation, 'warn' only reports, 'off' skips
+  const validate = {
+    brokenLinks: 'error',
+    missingAssets: 'error',
+    signedUrls: 'error',
+    missingAlt: 'warn',
+    duplicateIds: 'error',
+    malformedHtml: 'error',
+    ...siteConfig.validate
+  };
+
+  // `npm run build` output: files copied into dist/ as they are, and where `publish` pushes it
+  const publish = { branch: 'gh-pages', remote: 'origin', ...siteConfig.publish };
+
+  return { nav: [], static: [], ...siteConfig, collections, plugins, validate, publish };
+}
+
+// Site and collection settings live in site.config.js. A missing or invalid config throws
+// when this module is first required (fetch-notion.js reports it).
+const CONFIG_PATH = path.join(ROOT_DIR, 'site.config.js');
+const config = loadConfig(CONFIG_PATH);
+
+module.exports = {
+  ROOT_DIR,
+  CONFIG_PATH,
+  config,
+  getCollectionDirs,
+  loadConfig
+};
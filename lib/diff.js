@@ -0,0 +1,91 @@
+// Line-based unified diffs (as `diff -u` prints them), for showing what a dry run would change
+
+// Above this many line pairs the changed middle is shown as one removed/added block instead of
+// working out the shortest edit (a whole-file rewrite isn't worth a quadratic table)
+const MAX_DIFF_CELLS = 4000000;
+
+// Edit script turning `a` into `b`: [{ type: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+  // Unchanged lines at either end don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = lines => lines.map(line => ({ type: ' ', line }));
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  let middle;
+  if (middleA.length * middleB.length > MAX_DIFF_CELLS) {
+    middle = [...middleA.map(line => ({ type: '-', line })), ...middleB.map(line => ({ type: '+', line }))];
+  } else {
+    // Longest common subsequence, walked from the front
+    const n = middleA.length;
+    const m = middleB.length;
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = middleA[i] === middleB[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && middleA[i] === middleB[j]) {
+        middle.push({ type: ' ', line: middleA[i++] });
+        j++;
+      } else if (j === m || (i < n && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        middle.push({ type: '-', line: middleA[i++] });
+      } else {
+        middle.push({ type: '+', line: middleB[j++] });
+      }
+    }
+  }
+
+  return [...same(a.slice(0, start)), ...middle, ...same(a.slice(endA))];
+}
+
+// Unified diff of two texts with `context` unchanged lines around each change ('' if they're equal)
+function createUnifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (before === after) return '';
+  const split = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+  const edits = diffLines(split(before), split(after));
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) last.end = index + 1;
+    else hunks.push({ start: index, end: index + 1 });
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(edits.length, hunk.end + context);
+    // Line numbers (1-based) where the hunk starts in each file
+    const preceding = edits.slice(0, from);
+    const oldStart = preceding.filter(edit => edit.type !== '+').length + 1;
+    const newStart = preceding.filter(edit => edit.type !== '-').length + 1;
+    const body = edits.slice(from, to);
+    const oldCount = body.filter(edit => edit.type !== '+').length;
+    const newCount = body.filter(edit => edit.type !== '-').length;
+    const range = (start, count) => (count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`);
+    lines.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+    body.forEach(edit => lines.push(`${edit.type}${edit.line}`));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff
+};
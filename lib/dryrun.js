@@ -0,0 +1,147 @@
+// Dry runs: build the site into a temporary copy, then report what a real sync would add,
+// change and delete without touching the working tree
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT_DIR, config } = require('./config');
+const { SITEMAP_FILE, ROBOTS_FILE } = require('./seo');
+const { MATH_ASSETS_DIR } = require('./math');
+const { getPageSources } = require('./templates');
+const { syncSite } = require('./sync');
+const { createUnifiedDiff } = require('./diff');
+
+// Exit codes for `--dry-run`, so scripts can tell "nothing to publish" from "changes" and failures
+const DRY_RUN_EXIT = { unchanged: 0, error: 1, changed: 2 };
+
+// Exit code for a dry run's result. Posts that failed to render or download would publish an
+// incomplete site, so they're an error whatever else changed.
+function getDryRunExitCode({ changes, failures, downloadFailures }) {
+  if (failures.length > 0 || downloadFailures.length > 0) return DRY_RUN_EXIT.error;
+  return changes.length > 0 ? DRY_RUN_EXIT.changed : DRY_RUN_EXIT.unchanged;
+}
+
+// Symbols for each kind of change in the summary
+const CHANGE_MARKS = { added: '+', changed: '~', deleted: '-' };
+
+// Files and folders (relative to the site root) a sync writes
+function getSiteFiles() {
+  return [
+    ...config.collections.map(collection => collection.outputDir),
+    ...getPageSources(),
+    MATH_ASSETS_DIR,
+    SITEMAP_FILE,
+    ROBOTS_FILE
+  ];
+}
+
+// The site paths that exist in `rootDir`: what a sync generated there, and all a commit of it should stage
+function getGeneratedPaths(rootDir = ROOT_DIR) {
+  return getSiteFiles().filter(file => fs.existsSync(path.join(rootDir, file)));
+}
+
+// Every file under the given site paths in `rootDir` (site-relative, '/' separated)
+function listSiteFiles(rootDir, sitePaths = getSiteFiles()) {
+  const files = [];
+  const walk = (relPath) => {
+    const fullPath = path.join(rootDir, relPath);
+    if (!fs.existsSync(fullPath)) return;
+    if (!fs.statSync(fullPath).isDirectory()) {
+      files.push(relPath);
+      return;
+    }
+    fs.readdirSync(fullPath).forEach(name => walk(path.posix.join(relPath, name)));
+  };
+  sitePaths.forEach(walk);
+  return [...new Set(files)].sort();
+}
+
+// Copy the site paths that exist in `fromDir` into `toDir`
+function copySiteFiles(fromDir, toDir, sitePaths = getSiteFiles()) {
+  sitePaths.filter(file => fs.existsSync(path.join(fromDir, file))).forEach(file => {
+    fs.cpSync(path.join(fromDir, file), path.join(toDir, file), { recursive: true });
+  });
+}
+
+// Files that differ between two builds of the site: [{ file, status: 'added' | 'changed' | 'deleted' }]
+function compareSites(beforeDir, afterDir, sitePaths = getSiteFiles()) {
+  const before = new Set(listSiteFiles(beforeDir, sitePaths));
+  const after = new Set(listSiteFiles(afterDir, sitePaths));
+  const changes = [];
+  [...new Set([...before, ...after])].sort().forEach(file => {
+    if (!before.has(file)) changes.push({ file, status: 'added' });
+    else if (!after.has(file)) changes.push({ file, status: 'deleted' });
+    else if (!fs.readFileSync(path.join(beforeDir, file)).equals(fs.readFileSync(path.join(afterDir, file)))) {
+      changes.push({ file, status: 'changed' });
+    }
+  });
+  return changes;
+}
+
+// Which part of the summary a changed file belongs in: a collection's posts, its images and
+// assets, or everything else (indexes, feeds, tag pages, pages, the manifest)
+function getChangeGroup(file) {
+  const collection = config.collections.find(c => file.startsWith(`${c.outputDir}/`));
+  if (!collection) return 'other';
+  const [first, ...rest] = file.slice(collection.outputDir.length + 1).split('/');
+  if (rest.length > 0) return first === 'images' || first === 'assets' ? 'images' : 'other';
+  return /\.(html|md)$/.test(first) && first !== 'index.html' ? 'posts' : 'other';
+}
+
+// Print the added/changed/deleted files, grouped into posts, images and everything else
+function printDryRunSummary(changes) {
+  if (changes.length === 0) {
+    console.log('\n📋 Dry run: no changes (nothing was written)');
+    return;
+  }
+  console.log(`\n📋 Dry run: ${changes.length} file(s) would change (nothing was written)`);
+  const groups = { posts: 'Posts', images: 'Images and assets', other: 'Other files' };
+  Object.entries(groups).forEach(([group, label]) => {
+    const files = changes.filter(change => getChangeGroup(change.file) === group);
+    if (files.length === 0) return;
+    const counts = Object.keys(CHANGE_MARKS).map(status => `${files.filter(f => f.status === status).length} ${status}`);
+    console.log(`   ${label}: ${counts.join(', ')}`);
+    files.forEach(change => console.log(`     ${CHANGE_MARKS[change.status]} ${change.file}`));
+  });
+}
+
+// Print a unified diff of every changed HTML file
+function printHtmlDiffs(changes, beforeDir, afterDir) {
+  changes.filter(change => change.status === 'changed' && change.file.endsWith('.html')).forEach(change => {
+    const read = dir => fs.readFileSync(path.join(dir, change.file), 'utf8');
+    process.stdout.write(`\n${createUnifiedDiff(read(beforeDir), read(afterDir), {
+      fromFile: `a/${change.file}`,
+      toFile: `b/${change.file}`
+    })}`);
+  });
+}
+
+// Sync into a temporary copy of the site (so the run stays incremental), print what would change,
+// then throw the copy away. Returns { changes, failures, downloadFailures }.
+async function runDryRun(source, options, rootDir = ROOT_DIR) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-notion-dry-run-'));
+  try {
+    copySiteFiles(rootDir, tempDir);
+    console.log('🧪 Dry run: building into a temporary copy of the site');
+
+    const { failures, downloadFailures } = await syncSite(source, options, { rootDir: tempDir });
+    const changes = compareSites(rootDir, tempDir);
+    printDryRunSummary(changes);
+    if (options.diff) printHtmlDiffs(changes, rootDir, tempDir);
+    return { changes, failures, downloadFailures };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  DRY_RUN_EXIT,
+  getDryRunExitCode,
+  getSiteFiles,
+  getGeneratedPaths,
+  copySiteFiles,
+  compareSites,
+  getChangeGroup,
+  printDryRunSummary,
+  runDryRun
+};
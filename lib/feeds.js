@@ -0,0 +1,124 @@
+// RSS, Atom and JSON feeds for a collection
+
+const { config } = require('./config');
+const { escapeXml, toDate } = require('./utils');
+const { stripHeadingAnchors } = require('./html');
+
+// Feed files written next to the posts (also protected from orphan cleanup)
+const FEED_FILES = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json'
+};
+
+// Wrap HTML in a CDATA section (splitting any "]]>" inside the content)
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Rewrite relative src/href attributes (e.g. images/foo.png) to absolute URLs for feed readers
+function absolutizeUrls(html, baseUrl) {
+  return html.replace(/\b(src|href)="([^"]*)"/g, (match, attr, url) => {
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url)) return match;
+    return `${attr}="${new URL(url, baseUrl).href}"`;
+  });
+}
+
+// Post HTML for feed entries: absolute URLs, without the heading permalinks (they only work on the site)
+function getFeedContent(post, collection) {
+  return absolutizeUrls(stripHeadingAnchors(post.content), collection.url);
+}
+
+// Most recent edit across all posts (used as the feed-level updated timestamp)
+function getFeedUpdated(posts) {
+  const times = posts.map(post => toDate(post.updated || post.date).getTime());
+  return new Date(times.length ? Math.max(...times) : Date.now());
+}
+
+// Generate RSS 2.0 feed for a collection
+function generateRssFeed(posts, collection) {
+  const itemsXml = posts.map(post => {
+    const url = `${collection.url}${post.slug}.html`;
+    return `    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${url}</link>
+      <guid isPermaLink="true">${url}</guid>
+      <pubDate>${toDate(post.date).toUTCString()}</pubDate>
+      <description>${cdata(getFeedContent(post, collection))}</description>
+    </item>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${collection.name} - ${config.author}</title>
+    <link>${collection.url}</link>
+    <description>${collection.name} by ${config.author}</description>
+    <language>en</language>
+    <lastBuildDate>${getFeedUpdated(posts).toUTCString()}</lastBuildDate>
+    <atom:link href="${collection.url}${FEED_FILES.rss}" rel="self" type="application/rss+xml"/>
+${itemsXml}
+  </channel>
+</rss>
+`;
+}
+
+// Generate Atom feed for a collection
+function generateAtomFeed(posts, collection) {
+  const entriesXml = posts.map(post => {
+    const url = `${collection.url}${post.slug}.html`;
+    return `  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link href="${url}"/>
+    <id>${url}</id>
+    <published>${toDate(post.date).toISOString()}</published>
+    <updated>${toDate(post.updated || post.date).toISOString()}</updated>
+    <content type="html">${escapeXml(getFeedContent(post, collection))}</content>
+  </entry>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${collection.name} - ${config.author}</title>
+  <link href="${collection.url}"/>
+  <link href="${collection.url}${FEED_FILES.atom}" rel="self"/>
+  <id>${collection.url}</id>
+  <updated>${getFeedUpdated(posts).toISOString()}</updated>
+  <author>
+    <name>${config.author}</name>
+  </author>
+${entriesXml}
+</feed>
+`;
+}
+
+// Generate JSON Feed (https://www.jsonfeed.org/version/1.1/) for a collection
+function generateJsonFeed(posts, collection) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: `${collection.name} - ${config.author}`,
+    home_page_url: collection.url,
+    feed_url: `${collection.url}${FEED_FILES.json}`,
+    language: 'en',
+    authors: [{ name: config.author, url: config.siteUrl }],
+    items: posts.map(post => ({
+      id: `${collection.url}${post.slug}.html`,
+      url: `${collection.url}${post.slug}.html`,
+      title: post.title,
+      content_html: getFeedContent(post, collection),
+      date_published: toDate(post.date).toISOString(),
+      date_modified: toDate(post.updated || post.date).toISOString()
+    }))
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+module.exports = {
+  FEED_FILES,
+  absolutizeUrls,
+  getFeedUpdated,
+  generateRssFeed,
+  generateAtomFeed,
+  generateJsonFeed
+};
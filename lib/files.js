@@ -0,0 +1,237 @@
+// Downloads Notion-hosted images and files next to the generated pages
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const { slugify } = require('./utils');
+
+// File extensions for the Content-Types Notion commonly serves
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'image/avif': '.avif',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/json': '.json',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/ogg': '.ogg'
+};
+
+// Notion file URLs signed with a short-lived AWS signature (they stop working after an hour)
+const SIGNED_URL_PATTERN = /https?:\/\/[^\s"'<>]*amazonaws\.com\/[^\s"'<>]*?[?&](?:amp;)?(?:X-Amz-Signature|X-Amz-Credential|Signature|Expires)=[^\s"'<>]*/gi;
+
+// Whether rendered content still points at a signed Notion URL (a download that fell back to it)
+function hasSignedUrl(content) {
+  return content.search(SIGNED_URL_PATTERN) !== -1;
+}
+
+// Stable hash of a Notion file URL (path only - the signed query string changes every sync)
+// Notion S3 URLs look like: https://prod-files-secure.s3.../workspace-id/block-id/filename.png?X-Amz-...
+function hashFileUrl(fileUrl) {
+  return crypto.createHash('md5').update(fileUrl.split('?')[0]).digest('hex').slice(0, 12);
+}
+
+// Extension from a URL path (empty if missing or implausible)
+function getUrlExtension(fileUrl) {
+  const ext = path.extname(decodeURIComponent(fileUrl.split('?')[0])).toLowerCase();
+  return /^\.[a-z0-9]{1,4}$/.test(ext) ? ext : '';
+}
+
+// Find a previously downloaded file with this basename, whatever its extension
+function findDownloadedFile(dir, basename) {
+  if (!fs.existsSync(dir)) return null;
+  return fs.readdirSync(dir).find(file => path.parse(file).name === basename) || null;
+}
+
+// Redirects followed before a download gives up
+const MAX_REDIRECTS = 5;
+
+// How long a download may go without receiving anything before it's abandoned
+const DOWNLOAD_TIMEOUT = 30000;
+
+// Downloads are written to `.<filename>.download` until they're complete
+const PARTIAL_DOWNLOAD_SUFFIX = '.download';
+
+// Download a URL into `dir` as `${basename}${ext}`. The extension comes from the response
+// Content-Type, falling back to the URL path and then `defaultExt`. Resolves with the filename.
+// The file is written under a temporary name and only renamed once complete, so a dropped
+// connection never leaves a truncated file that later syncs would take as downloaded.
+function downloadFile(fileUrl, dir, basename, defaultExt, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    let file = null;
+    let tempPath = null;
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      if (!file) {
+        reject(err);
+        return;
+      }
+      // Delete the partial file once the stream has let go of it (it may still be opening)
+      const removePartial = () => fs.unlink(tempPath, () => reject(err));
+      if (file.closed) {
+        removePartial();
+      } else {
+        file.once('close', removePartial);
+        file.destroy();
+      }
+    };
+
+    const request = https.get(fileUrl, (response) => {
+      // Handle redirects
+      if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+        response.resume();
+        if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+          fail(new Error(`Failed to download ${basename}: too many redirects`));
+          return;
+        }
+        const location = new URL(response.headers.location, fileUrl).href;
+        downloadFile(location, dir, basename, defaultExt, redirects + 1)
+          .then(resolve)
+          .catch(fail);
+        return;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        fail(new Error(`Failed to download ${basename}: ${response.statusCode}`));
+        return;
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const ext = CONTENT_TYPE_EXTENSIONS[contentType] || getUrlExtension(fileUrl) || defaultExt;
+      const filename = `${basename}${ext}`;
+      const filepath = path.join(dir, filename);
+
+      fs.mkdirSync(dir, { recursive: true });
+      tempPath = path.join(dir, `.${filename}${PARTIAL_DOWNLOAD_SUFFIX}`);
+      file = fs.createWriteStream(tempPath);
+      response.on('error', fail);
+      response.on('aborted', () => fail(new Error(`Failed to download ${basename}: connection closed`)));
+      file.on('error', fail);
+      file.on('finish', () => {
+        if (settled) return;
+        if (!response.complete) {
+          fail(new Error(`Failed to download ${basename}: connection closed`));
+          return;
+        }
+        fs.rename(tempPath, filepath, (err) => {
+          if (err) {
+            fail(err);
+            return;
+          }
+          settled = true;
+          resolve(filename);
+        });
+      });
+      response.pipe(file);
+    });
+    request.on('error', fail);
+    request.setTimeout(DOWNLOAD_TIMEOUT, () => {
+      fail(new Error(`Failed to download ${basename}: timed out`));
+      request.destroy();
+    });
+  });
+}
+
+// Delete the partial downloads a killed sync left under `dir` (they're dotfiles, so orphan
+// cleanup never sees them). Returns their paths relative to `dir`.
+function removePartialDownloads(dir) {
+  const removed = [];
+  const walk = (relativeDir) => {
+    const fullDir = path.join(dir, relativeDir);
+    if (!fs.existsSync(fullDir)) return;
+    for (const entry of fs.readdirSync(fullDir, { withFileTypes: true })) {
+      const relativePath = path.posix.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        walk(relativePath);
+      } else if (entry.name.startsWith('.') && entry.name.endsWith(PARTIAL_DOWNLOAD_SUFFIX)) {
+        fs.unlinkSync(path.join(dir, relativePath));
+        removed.push(relativePath);
+      }
+    }
+  };
+  walk('');
+  return removed.sort();
+}
+
+// Download image from URL and save locally (images/<slug>-<hash>.<ext>)
+async function downloadImage(imageUrl, slug, collection) {
+  const basename = `${slug}-${hashFileUrl(imageUrl)}`;
+
+  // Skip if already downloaded
+  const existing = findDownloadedFile(collection.imagesDir, basename);
+  if (existing) {
+    return { path: `images/${existing}`, skipped: true };
+  }
+
+  const filename = await downloadFile(imageUrl, collection.imagesDir, basename, '.png');
+  return { path: `images/${filename}`, skipped: false };
+}
+
+// Download any other Notion-hosted file (PDFs, video, audio, attachments, icons)
+// into assets/<slug>/<name>-<hash>.<ext>
+async function downloadAsset(fileUrl, slug, collection) {
+  const originalName = path.parse(decodeURIComponent(fileUrl.split('?')[0])).name;
+  const basename = `${slugify(originalName) || 'file'}-${hashFileUrl(fileUrl)}`;
+  const dir = path.join(collection.assetsDir, slug);
+
+  // Skip if already downloaded
+  const existing = findDownloadedFile(dir, basename);
+  if (existing) {
+    return { path: `assets/${slug}/${existing}`, skipped: true };
+  }
+
+  const filename = await downloadFile(fileUrl, dir, basename, '.bin');
+  return { path: `assets/${slug}/${filename}`, skipped: false };
+}
+
+// Resolve a Notion file object ({ type: 'file' | 'external', ... }) to a URL for the page.
+// Notion-hosted files are signed S3 URLs that expire after about an hour, so they are
+// downloaded; external URLs are used as-is.
+async function resolveFileUrl(fileObject, slug, collection) {
+  if (fileObject.type === 'external') {
+    return fileObject.external.url;
+  }
+
+  const fileUrl = fileObject.file.url;
+  try {
+    const result = await downloadAsset(fileUrl, slug, collection);
+    console.log(`    📎 ${result.skipped ? 'Asset exists' : 'Downloaded'}: ${result.path}`);
+    return result.path;
+  } catch (err) {
+    console.warn(`    ⚠️  Failed to download asset: ${err.message}`);
+    // Fallback to original URL if download fails
+    return fileUrl;
+  }
+}
+
+module.exports = {
+  SIGNED_URL_PATTERN,
+  hasSignedUrl,
+  hashFileUrl,
+  findDownloadedFile,
+  downloadFile,
+  removePartialDownloads,
+  downloadImage,
+  downloadAsset,
+  resolveFileUrl
+};
@@ -0,0 +1,67 @@
+// Build-time syntax highlighting for code blocks (highlight.js, no client-side JavaScript)
+
+const hljs = require('highlight.js');
+const { escapeHtml } = require('./utils');
+
+// Notion code block languages whose highlight.js grammar has a different name
+// (names that already match, like "javascript" or "python", aren't listed)
+const NOTION_LANGUAGES = {
+  'c++': 'cpp',
+  'c#': 'csharp',
+  'f#': 'fsharp',
+  'java/c/c++/c#': 'java',
+  'objective-c': 'objectivec',
+  'plain text': 'plaintext',
+  'vb.net': 'vbnet',
+  'visual basic': 'vbnet',
+  docker: 'dockerfile',
+  flow: 'javascript',
+  html: 'xml',
+  markup: 'xml',
+  reason: 'reasonml',
+  sass: 'scss',
+  shell: 'bash',
+  webassembly: 'wasm'
+};
+
+// highlight.js grammar for a Notion language name ('plaintext' if there is none, e.g. mermaid)
+function getGrammar(language) {
+  const name = (language || '').toLowerCase();
+  const grammar = NOTION_LANGUAGES[name] || name;
+  return grammar && hljs.getLanguage(grammar) ? grammar : 'plaintext';
+}
+
+// Highlight source code into HTML with hljs-* token classes
+function highlightCode(code, language) {
+  const grammar = getGrammar(language);
+  const html = grammar === 'plaintext'
+    ? escapeHtml(code)
+    : hljs.highlight(code, { language: grammar, ignoreIllegals: true }).value;
+  return { grammar, html };
+}
+
+// Split highlighted HTML into lines. Token spans that cross a line break (e.g. multi-line
+// comments) are closed at the end of the line and reopened on the next one.
+function splitHighlightedLines(html) {
+  const lines = [];
+  const openSpans = [];
+  let line = '';
+  html.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(openSpans.length));
+      line = openSpans.join('');
+      return;
+    }
+    if (part.startsWith('<span')) openSpans.push(part);
+    if (part === '</span>') openSpans.pop();
+    line += part;
+  });
+  lines.push(line);
+  return lines;
+}
+
+module.exports = {
+  getGrammar,
+  highlightCode,
+  splitHighlightedLines
+};
@@ -0,0 +1,498 @@
+// HTML renderers for Notion blocks and rich text
+
+const { escapeHtml, slugify, htmlToText } = require('./utils');
+const { highlightCode, splitHighlightedLines } = require('./highlight');
+const { renderMath } = require('./math');
+const { getNotionPageId } = require('./links');
+
+// Left by table_of_contents blocks and filled in once the whole post is rendered
+const TOC_PLACEHOLDER = '<!-- table-of-contents -->';
+
+// Notion list item types that get grouped into a single <ul>/<ol>
+const LIST_WRAPPERS = {
+  bulleted_list_item: 'ul',
+  numbered_list_item: 'ol'
+};
+
+// Block renderers, keyed by Notion block type: async (block, ctx) => html
+const blockRenderers = {
+  paragraph: async (block, ctx) => {
+    const text = ctx.richText(block.paragraph.rich_text)
+      .replace(/^(<br>)+|(<br>)+$/g, ''); // Trim leading/trailing <br> tags
+    const paragraphHtml = text ? `<p>${text}</p>` : '';
+
+    // Important: Notion "Turn into toggle" can apply to paragraphs.
+    // In that case, the paragraph block will have children, and we must render them.
+    if (block.has_children) {
+      const childrenHtml = await ctx.renderChildren(block);
+      return paragraphHtml ? `${paragraphHtml}\n${childrenHtml}` : childrenHtml;
+    }
+    return paragraphHtml;
+  },
+
+  heading_1: (block, ctx) => renderHeading(block, 'h1', ctx),
+  heading_2: (block, ctx) => renderHeading(block, 'h2', ctx),
+  heading_3: (block, ctx) => renderHeading(block, 'h3', ctx),
+
+  bulleted_list_item: (block, ctx) => renderListItem(block.bulleted_list_item, block, ctx),
+  numbered_list_item: (block, ctx) => renderListItem(block.numbered_list_item, block, ctx),
+
+  quote: async (block, ctx) => {
+    let quoteHtml = ctx.richText(block.quote.rich_text);
+    // Handle nested children in quotes
+    if (block.has_children) {
+      quoteHtml += `\n${await ctx.renderChildren(block)}`;
+    }
+    return `<blockquote>${quoteHtml}</blockquote>`;
+  },
+
+  code: (block, ctx) => {
+    const codeText = block.code.rich_text.map(t => t.plain_text).join('');
+    const { grammar, html } = highlightCode(codeText, block.code.language);
+    const { codeLineNumbers, codeCopyButton } = ctx.collection;
+    // Line numbers come from a CSS counter on each .code-line
+    const codeHtml = codeLineNumbers
+      ? splitHighlightedLines(html.replace(/\n$/, '')).map(line => `<span class="code-line">${line}</span>`).join('\n')
+      : html;
+    // Hidden until script.js finds clipboard access
+    const copyButton = codeCopyButton ? '<button type="button" class="code-copy" hidden>Copy</button>' : '';
+    const codeCaption = block.code.caption?.length 
+      ? `<figcaption class="code-caption">${ctx.richText(block.code.caption)}</figcaption>` 
+      : '';
+    const figureClass = codeLineNumbers ? 'code-block line-numbers' : 'code-block';
+    return `<figure class="${figureClass}">${copyButton}<pre><code class="hljs language-${grammar}">${codeHtml}</code></pre>${codeCaption}</figure>`;
+  },
+
+  divider: () => '<hr>',
+
+  image: async (block, ctx) => {
+    const imageUrl = block.image.type === 'external' 
+      ? block.image.external.url 
+      : block.image.file.url;
+    const caption = block.image.caption?.length 
+      ? ctx.richText(block.image.caption) 
+      : '';
+    
+    try {
+      // Download image locally
+      const result = await ctx.downloadImage(imageUrl);
+      const localPath = result.path;
+      if (result.skipped) {
+        console.log(`    📷 Image exists: ${localPath}`);
+      } else {
+        console.log(`    📷 Downloaded: ${localPath}`);
+      }
+      return `<figure><img src="${localPath}" alt="${caption}" loading="lazy"><figcaption>${caption}</figcaption></figure>`;
+    } catch (err) {
+      console.warn(`    ⚠️  Failed to download image: ${err.message}`);
+      // Fallback to original URL if download fails
+      return `<figure><img src="${imageUrl}" alt="${caption}" loading="lazy"><figcaption>${caption}</figcaption></figure>`;
+    }
+  },
+
+  callout: async (block, ctx) => {
+    let calloutIconHtml = '';
+    if (block.callout.icon?.emoji) {
+      calloutIconHtml = `<span class="callout-icon">${block.callout.icon.emoji}</span>`;
+    } else if (block.callout.icon?.external?.url || block.callout.icon?.file?.url) {
+      const iconUrl = await ctx.resolveFile(block.callout.icon);
+      calloutIconHtml = `<img class="callout-icon" src="${iconUrl}" alt="" loading="lazy">`;
+    }
+    // If no icon, don't render anything
+    
+    let calloutContent = ctx.richText(block.callout.rich_text);
+    const calloutColor = block.callout.color || 'default';
+    // Handle nested children in callouts
+    if (block.has_children) {
+      calloutContent += `\n${await ctx.renderChildren(block)}`;
+    }
+    return `<div class="callout callout-${calloutColor}">${calloutIconHtml}<div class="callout-content">${calloutContent}</div></div>`;
+  },
+
+  to_do: async (block, ctx) => {
+    const todoChecked = block.to_do.checked;
+    let todoContent = ctx.richText(block.to_do.rich_text);
+    // Handle nested children
+    if (block.has_children) {
+      todoContent += `\n<div class="todo-children">${await ctx.renderChildren(block)}</div>`;
+    }
+    return `<div class="todo-item"><input type="checkbox" ${todoChecked ? 'checked' : ''} disabled><span class="${todoChecked ? 'todo-checked' : ''}">${todoContent}</span></div>`;
+  },
+
+  bookmark: (block, ctx) => {
+    const bookmarkUrl = block.bookmark.url;
+    const bookmarkCaption = block.bookmark.caption?.length 
+      ? ctx.richText(block.bookmark.caption) 
+      : bookmarkUrl;
+    return `<a href="${bookmarkUrl}" class="bookmark-link" target="_blank" rel="noopener noreferrer">${bookmarkCaption}</a>`;
+  },
+
+  link_preview: (block) => {
+    const previewUrl = block.link_preview.url;
+    return `<a href="${previewUrl}" class="link-preview" target="_blank" rel="noopener noreferrer">${previewUrl}</a>`;
+  },
+
+  video: async (block, ctx) => {
+    const videoUrl = await ctx.resolveFile(block.video);
+    // Handle YouTube embeds
+    if (videoUrl.includes('youtube.com') || videoUrl.includes('youtu.be')) {
+      const videoId = videoUrl.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\s]+)/)?.[1];
+      return videoId
+        ? `<div class="video-embed"><iframe src="https://www.youtube.com/embed/${videoId}" frameborder="0" allowfullscreen loading="lazy"></iframe></div>`
+        : '';
+    }
+    if (videoUrl.includes('vimeo.com')) {
+      const vimeoId = videoUrl.match(/vimeo\.com\/(\d+)/)?.[1];
+      return vimeoId
+        ? `<div class="video-embed"><iframe src="https://player.vimeo.com/video/${vimeoId}" frameborder="0" allowfullscreen loading="lazy"></iframe></div>`
+        : '';
+    }
+    return `<video controls><source src="${videoUrl}"></video>`;
+  },
+
+  audio: async (block, ctx) => {
+    const audioUrl = await ctx.resolveFile(block.audio);
+    return `<audio controls class="audio-player"><source src="${audioUrl}">Your browser does not support audio.</audio>`;
+  },
+
+  file: async (block, ctx) => {
+    const originalUrl = block.file.type === 'external' 
+      ? block.file.external.url 
+      : block.file.file.url;
+    const fileName = block.file.name || originalUrl.split('/').pop()?.split('?')[0] || 'Download';
+    const fileUrl = await ctx.resolveFile(block.file);
+    const fileCaption = block.file.caption?.length 
+      ? ctx.richText(block.file.caption) 
+      : fileName;
+    return `<a href="${fileUrl}" class="file-download" target="_blank" rel="noopener noreferrer" download>📎 ${fileCaption}</a>`;
+  },
+
+  pdf: async (block, ctx) => {
+    const pdfUrl = await ctx.resolveFile(block.pdf);
+    const pdfCaption = block.pdf.caption?.length 
+      ? ctx.richText(block.pdf.caption) 
+      : 'PDF Document';
+    return `<figure class="pdf-embed"><iframe src="${pdfUrl}" loading="lazy"></iframe><figcaption>${pdfCaption}</figcaption></figure>`;
+  },
+
+  embed: (block) => {
+    const embedUrl = block.embed.url;
+    return `<div class="embed-container"><iframe src="${embedUrl}" frameborder="0" loading="lazy"></iframe></div>`;
+  },
+
+  toggle: async (block, ctx) => {
+    const toggleText = ctx.richText(block.toggle.rich_text);
+    // Toggles always have children
+    const toggleContent = await ctx.renderChildren(block);
+    return `<details class="toggle"><summary>${toggleText}</summary><div class="toggle-content">${toggleContent}</div></details>`;
+  },
+
+  table: async (block, ctx) => {
+    // Tables have table_row children
+    if (!block.has_children) return '';
+
+    const rows = await ctx.fetchChildren(block.id);
+    const hasColumnHeader = block.table.has_column_header;
+    const hasRowHeader = block.table.has_row_header;
+    
+    let tableHtml = '<table class="notion-table">';
+    rows.forEach((row, rowIndex) => {
+      if (row.type === 'table_row') {
+        const isHeaderRow = hasColumnHeader && rowIndex === 0;
+        tableHtml += '<tr>';
+        row.table_row.cells.forEach((cell, cellIndex) => {
+          const isHeaderCell = hasRowHeader && cellIndex === 0;
+          const tag = isHeaderRow || isHeaderCell ? 'th' : 'td';
+          const cellContent = cell.map(rt => ctx.richText([rt])).join('');
+          tableHtml += `<${tag}>${cellContent}</${tag}>`;
+        });
+        tableHtml += '</tr>';
+      }
+    });
+    tableHtml += '</table>';
+    return tableHtml;
+  },
+
+  column_list: async (block, ctx) => {
+    // Column lists contain column children
+    if (!block.has_children) return '';
+
+    const columns = await ctx.fetchChildren(block.id);
+    let columnsHtml = '<div class="columns">';
+    for (const column of columns) {
+      if (column.type === 'column' && column.has_children) {
+        columnsHtml += `<div class="column">${await ctx.renderChildren(column)}</div>`;
+      }
+    }
+    columnsHtml += '</div>';
+    return columnsHtml;
+  },
+
+  synced_block: async (block, ctx) => {
+    // Synced blocks reference content from another block
+    if (block.synced_block.synced_from) {
+      // This is a reference to another synced block
+      const originalBlockId = block.synced_block.synced_from.block_id;
+      try {
+        const children = await ctx.fetchChildren(originalBlockId);
+        return await ctx.renderBlocks(children);
+      } catch (err) {
+        console.warn(`    ⚠️  Failed to fetch synced block: ${err.message}`);
+        return '';
+      }
+    }
+    // This is the original synced block
+    return ctx.renderChildren(block);
+  },
+
+  equation: (block, ctx) => {
+    // Render as a block equation
+    const mathHtml = renderMath(block.equation.expression, { displayMode: true, slug: ctx.slug });
+    return `<div class="equation">${mathHtml}</div>`;
+  },
+
+  // Filled in by renderPostContent, which knows every heading in the post
+  table_of_contents: () => TOC_PLACEHOLDER,
+
+  // Skip - UI navigation element
+  breadcrumb: () => '',
+
+  // Link to child pages that are published posts (others are skipped)
+  child_page: (block, ctx) => {
+    const title = block.child_page.title;
+    const href = ctx.linkPage(block.id, title);
+    return href ? `<p class="child-page"><a href="${href}">${escapeHtml(title)}</a></p>` : '';
+  },
+
+  // Skip - embedded databases
+  child_database: () => ''
+};
+
+// Render heading_1/2/3 with an id and a permalink
+// (Notion toggleable headings come through as heading_* with children)
+async function renderHeading(block, tag, ctx) {
+  const richText = block[block.type].rich_text;
+  const id = getHeadingId(richText.map(t => t.plain_text).join(''), ctx);
+  const anchorHtml = `<a href="#${id}" class="heading-anchor" aria-label="Link to this section">#</a>`;
+  const headingHtml = `<${tag} id="${id}">${ctx.richText(richText)}${anchorHtml}</${tag}>`;
+  if (!block.has_children) return headingHtml;
+  return `${headingHtml}\n${await ctx.renderChildren(block)}`;
+}
+
+// Heading id from its text, unique within the post ("intro", then "intro-2", ...) so links stay
+// stable as long as the heading text and order don't change
+function getHeadingId(text, ctx) {
+  const base = slugify(text) || 'section';
+  let id = base;
+  for (let n = 2; ctx.headingIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  ctx.headingIds.add(id);
+  return id;
+}
+
+// Remove the heading permalinks (for copies of a post that aren't on the site, like feeds)
+function stripHeadingAnchors(html) {
+  return html.replace(/<a href="#[^"]*" class="heading-anchor"[^>]*>#<\/a>/g, '');
+}
+
+// Plain text of a rendered post body (for search and word counts), without the parts that aren't prose (table of contents, copy buttons).
+// Inline tags are dropped without a space so highlighted code keeps its spacing.
+function getPostText(content) {
+  const html = stripHeadingAnchors(content)
+    .replace(/<nav class="table-of-contents"[\s\S]*?<\/nav>/g, ' ')
+    .replace(/<button[^>]*>[\s\S]*?<\/button>/g, ' ')
+    .replace(/<\/?(?:a|span|strong|em|code|del|u)\b[^>]*>/g, '');
+  return htmlToText(html);
+}
+
+// Find the headings (with ids) in rendered post HTML, in document order
+function extractHeadings(html) {
+  const pattern = /<h([1-3]) id="([^"]+)">([\s\S]*?)<a href="#[^"]*" class="heading-anchor"/g;
+  return [...html.matchAll(pattern)].map(match => ({
+    level: Number(match[1]),
+    id: match[2],
+    text: htmlToText(match[3])
+  }));
+}
+
+// Render headings as a nested list of links (a heading nests under the closest shallower one before it)
+function renderTableOfContents(headings) {
+  if (headings.length === 0) return '';
+
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  headings.forEach(heading => {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    const node = { ...heading, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  });
+
+  const renderList = (nodes) => `<ul>${nodes
+    .map(node => `<li><a href="#${node.id}">${escapeHtml(node.text)}</a>${node.children.length ? renderList(node.children) : ''}</li>`)
+    .join('')}</ul>`;
+  return `<nav class="table-of-contents" aria-label="Table of contents">${renderList(root.children)}</nav>`;
+}
+
+// Render a single <li> (blocksToHtml wraps consecutive items in <ul>/<ol>)
+async function renderListItem(item, block, ctx) {
+  let itemHtml = `<li>${ctx.richText(item.rich_text)}`;
+  // Handle nested children
+  if (block.has_children) {
+    itemHtml += `\n${await ctx.renderChildren(block)}`;
+  }
+  return `${itemHtml}</li>`;
+}
+
+// Render one block with its registered renderer
+async function renderBlock(block, ctx) {
+  const renderer = blockRenderers[block.type];
+  if (!renderer) {
+    console.log(`    ⚠️  Unsupported block type: ${block.type}`);
+    return '';
+  }
+  return (await renderer(block, ctx)) || '';
+}
+
+// Convert Notion blocks to HTML (async to handle image downloads and nested blocks)
+async function blocksToHtml(blocks, ctx) {
+  const htmlParts = [];
+  let i = 0;
+  
+  while (i < blocks.length) {
+    const block = blocks[i];
+    const listTag = LIST_WRAPPERS[block.type];
+    let html = '';
+
+    if (listTag) {
+      // Collect consecutive list items of the same type and wrap them in <ul>/<ol>
+      const listItems = [];
+      while (i < blocks.length && blocks[i].type === block.type) {
+        listItems.push(await renderBlock(blocks[i], ctx));
+        i++;
+      }
+      html = `<${listTag}>\n${listItems.join('\n')}\n</${listTag}>`;
+    } else {
+      html = await renderBlock(block, ctx);
+      i++;
+    }
+    
+    if (html) {
+      htmlParts.push(html);
+    }
+  }
+  
+  return htmlParts.join('\n\n                    ');
+}
+
+// Render a whole post body, then fill in any table of contents from the headings it contains
+// (including headings nested in toggles and columns)
+async function renderPostContent(blocks, ctx) {
+  const html = await blocksToHtml(blocks, ctx);
+  if (!html.includes(TOC_PLACEHOLDER)) return html;
+  const tocHtml = renderTableOfContents(extractHeadings(html));
+  return html.split(TOC_PLACEHOLDER).join(tocHtml);
+}
+
+// Mention renderers, keyed by mention type: (text, ctx) => html
+const mentionRenderers = {
+  date: (text) => {
+    const date = text.mention.date;
+    const startDate = new Date(date.start).toLocaleDateString('en-US', { 
+      year: 'numeric', month: 'long', day: 'numeric' 
+    });
+    const content = date.end 
+      ? `${startDate} → ${new Date(date.end).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`
+      : startDate;
+    return `<span class="mention mention-date">${content}</span>`;
+  },
+  user: (text) => `<span class="mention mention-user">@${text.plain_text}</span>`,
+  // Links to published posts; unpublished or private pages stay plain text
+  page: (text, ctx) => {
+    const href = ctx.linkPage(text.mention.page.id, text.plain_text);
+    return href
+      ? `<a href="${href}" class="mention mention-page">${escapeHtml(text.plain_text)}</a>`
+      : `<span class="mention mention-page">${escapeHtml(text.plain_text)}</span>`;
+  },
+  database: (text) => `<span class="mention mention-page">${text.plain_text}</span>`
+};
+
+// Annotation renderers, applied in this order: (content, text, ctx) => html
+const annotationRenderers = {
+  bold: (content) => `<strong>${content}</strong>`,
+  italic: (content) => `<em>${content}</em>`,
+  strikethrough: (content) => `<del>${content}</del>`,
+  underline: (content) => `<u>${content}</u>`,
+  code: (content) => `<code>${content}</code>`,
+  // Apply text color
+  color: (content, text) => text.annotations.color === 'default'
+    ? content
+    : `<span class="text-${text.annotations.color}">${content}</span>`
+};
+
+// Rich text renderers, keyed by rich text type: (text, ctx) => html
+const richTextRenderers = {
+  equation: (text, ctx) => {
+    // Inline equation
+    const mathHtml = renderMath(text.equation.expression, { slug: ctx.slug });
+    return `<span class="inline-equation">${mathHtml}</span>`;
+  },
+
+  mention: (text, ctx) => {
+    // Handle mentions (user, page, date, etc.)
+    const renderer = mentionRenderers[text.mention.type];
+    // Default mention handling
+    return renderer ? renderer(text, ctx) : text.plain_text;
+  },
+
+  text: (text, ctx) => {
+    // Regular text - escape HTML and convert newlines to <br>
+    let content = escapeHtml(text.plain_text).replace(/\n/g, '<br>');
+
+    // Apply annotations
+    if (text.annotations) {
+      for (const [name, renderer] of Object.entries(annotationRenderers)) {
+        if (text.annotations[name]) content = renderer(content, text, ctx);
+      }
+    }
+
+    // Links to Notion pages point at the published post instead (or are dropped if it isn't published)
+    const notionPageId = getNotionPageId(text.href);
+    const href = notionPageId ? ctx.linkPage(notionPageId, text.plain_text) : text.href;
+
+    // Apply links - external links open in new tab
+    if (href) {
+      const isExternal = href.startsWith('http://') || href.startsWith('https://');
+      const linkAttrs = isExternal ? ' target="_blank" rel="noopener noreferrer"' : '';
+      content = `<a href="${href}"${linkAttrs}>${content}</a>`;
+    }
+
+    return content;
+  }
+};
+
+// Convert Notion rich text to HTML
+function richTextToHtml(richTextArray, ctx) {
+  if (!richTextArray || richTextArray.length === 0) return '';
+
+  return richTextArray.map(text => {
+    const renderer = richTextRenderers[text.type] || richTextRenderers.text;
+    return renderer(text, ctx);
+  }).join('');
+}
+
+module.exports = {
+  LIST_WRAPPERS,
+  blockRenderers,
+  mentionRenderers,
+  annotationRenderers,
+  richTextRenderers,
+  blocksToHtml,
+  renderPostContent,
+  richTextToHtml,
+  extractHeadings,
+  stripHeadingAnchors,
+  getPostText,
+  renderTableOfContents
+};
@@ -0,0 +1,40 @@
+// Internal links between published posts: page mentions, child pages and notion.so URLs
+
+const path = require('path');
+
+// Notion page ids appear with and without dashes (API vs. notion.so URLs)
+function normalizePageId(id) {
+  return String(id).replace(/-/g, '').toLowerCase();
+}
+
+// Page id from a notion.so / notion.site URL or a workspace-relative "/<id>" href (null for other links)
+function getNotionPageId(href) {
+  const match = href && href.match(/^(?:https?:\/\/(?:[\w-]+\.)?notion\.(?:so|site))?\/(?:[^?#]*[-/])?([0-9a-f]{32}|[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12})(?:[?#].*)?$/i);
+  return match ? normalizePageId(match[1]) : null;
+}
+
+// Map of every published post by page id: { title, slug, collection }
+function createPageLinks(collectionPages) {
+  const pageLinks = new Map();
+  collectionPages.forEach(({ collection, pages }) => {
+    pages.forEach(({ id, title, slug }) => {
+      pageLinks.set(normalizePageId(id), { title, slug, collection });
+    });
+  });
+  return pageLinks;
+}
+
+// Relative href from a post in `collection` to a published page (null if it isn't published)
+function getPageHref(pageLinks, pageId, collection) {
+  const target = pageLinks.get(normalizePageId(pageId));
+  if (!target) return null;
+  const dir = path.posix.relative(collection.outputDir, target.collection.outputDir);
+  return dir ? `${dir}/${target.slug}.html` : `${target.slug}.html`;
+}
+
+module.exports = {
+  normalizePageId,
+  getNotionPageId,
+  createPageLinks,
+  getPageHref
+};
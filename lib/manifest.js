@@ -0,0 +1,136 @@
+// Build manifest (skips unchanged posts) and cleanup of files no post references
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROOT_DIR, CONFIG_PATH, config } = require('./config');
+const { POST_CONTENT_START, POST_CONTENT_END } = require('./pages');
+const { getLayoutFiles } = require('./templates');
+
+// Build manifest used to skip posts that haven't been edited since the last sync
+const MANIFEST_FILE = '.notion-manifest.json';
+
+const MANIFEST_VERSION = 1;
+
+// Notion's last_edited_time only has minute precision: a page edited in the same minute as a
+// sync (just after its pages were fetched) shows the same time as the version that was rendered
+const EDIT_TIME_PRECISION = 60 * 1000;
+
+// Hash of the build scripts, the site config, plugins and layout templates, so a change to any
+// of them invalidates the manifest
+function getGeneratorHash() {
+  const hash = crypto.createHash('md5');
+  const libFiles = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => path.join(__dirname, file));
+  [path.join(ROOT_DIR, 'fetch-notion.js'), ...libFiles, CONFIG_PATH, ...config.plugins, ...getLayoutFiles()]
+    .forEach(file => hash.update(fs.readFileSync(file)));
+  return hash.digest('hex').slice(0, 12);
+}
+
+// Create an empty build manifest
+function createManifest() {
+  return { version: MANIFEST_VERSION, generator: getGeneratorHash(), pages: {} };
+}
+
+// Load the build manifest (returns an empty one if missing, unreadable or stale)
+function loadManifest(manifestPath) {
+  const empty = createManifest();
+  if (!fs.existsSync(manifestPath)) return empty;
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.version !== MANIFEST_VERSION || manifest.generator !== empty.generator) {
+      console.log('   Renderer changed since last sync, rebuilding all posts');
+      return empty;
+    }
+    return { ...empty, syncedAt: manifest.syncedAt, pages: manifest.pages || {} };
+  } catch (err) {
+    console.warn(`   ⚠️  Ignoring unreadable manifest: ${err.message}`);
+    return empty;
+  }
+}
+
+// Write the build manifest (pages sorted by ID to keep diffs stable)
+function saveManifest(manifestPath, manifest) {
+  const pages = {};
+  Object.keys(manifest.pages).sort().forEach(id => {
+    pages[id] = manifest.pages[id];
+  });
+  fs.writeFileSync(manifestPath, `${JSON.stringify({ ...manifest, pages }, null, 2)}\n`);
+}
+
+// Whether a page may have been edited after the sync that rendered it (at `syncedAt`, an ISO
+// time) without its last_edited_time changing, so it has to be rendered again to be sure
+function isEditedNearSync(lastEditedTime, syncedAt) {
+  if (!syncedAt || !lastEditedTime) return false;
+  return Date.parse(lastEditedTime) > Date.parse(syncedAt) - EDIT_TIME_PRECISION;
+}
+
+// Read the rendered body back out of a previously generated post (null if unavailable)
+function readPostContent(filepath) {
+  if (!fs.existsSync(filepath)) return null;
+  const html = fs.readFileSync(filepath, 'utf8');
+  const start = html.indexOf(POST_CONTENT_START);
+  const end = html.indexOf(POST_CONTENT_END);
+  if (start === -1 || end === -1) return null;
+  return html.slice(start + POST_CONTENT_START.length, end).trim();
+}
+
+// Collect local file paths under `folder` (e.g. images/) referenced by rendered HTML or Markdown
+function getReferencedFiles(content, folder) {
+  const pattern = new RegExp(`(?:\\b(?:src|href)="|\\]\\()(${folder}/[^")\\s]+)`, 'g');
+  return [...new Set([...content.matchAll(pattern)].map(match => match[1]))];
+}
+
+// List files (recursively) under a collection's `folder` that no manifest entry references.
+// Returns paths relative to the collection folder, e.g. "images/foo.png".
+function findOrphanedFiles(collectionDir, folder, manifestEntries) {
+  const referenced = new Set();
+  manifestEntries.forEach(entry => {
+    (entry[folder] || []).forEach(file => referenced.add(file));
+  });
+
+  const orphaned = [];
+  const walk = (relativeDir) => {
+    const dir = path.join(collectionDir, relativeDir);
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue; // Leave dotfiles like .gitkeep alone
+      const relativePath = `${relativeDir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(relativePath);
+      } else if (!referenced.has(relativePath)) {
+        orphaned.push(relativePath);
+      }
+    }
+  };
+  walk(folder);
+
+  return orphaned.sort();
+}
+
+// Remove empty directories left under a folder after deleting orphaned files
+function removeEmptyDirs(dir) {
+  if (!fs.existsSync(dir)) return;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      const subdir = path.join(dir, entry.name);
+      removeEmptyDirs(subdir);
+      if (fs.readdirSync(subdir).length === 0) fs.rmdirSync(subdir);
+    }
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  isEditedNearSync,
+  readPostContent,
+  getReferencedFiles,
+  findOrphanedFiles,
+  removeEmptyDirs
+};
@@ -0,0 +1,276 @@
+// Markdown renderers for Notion blocks and rich text
+
+const { LIST_WRAPPERS, blockRenderers, richTextToHtml } = require('./html');
+const { getNotionPageId } = require('./links');
+
+// Markdown block renderers, keyed by Notion block type: async (block, ctx) => markdown.
+// ctx.richText() and ctx.renderChildren() return Markdown when rendering with these.
+const markdownBlockRenderers = {
+  paragraph: async (block, ctx) => {
+    const text = ctx.richText(block.paragraph.rich_text);
+    const childrenMarkdown = await ctx.renderChildren(block);
+    return [text, childrenMarkdown].filter(Boolean).join('\n\n');
+  },
+
+  heading_1: (block, ctx) => renderMarkdownHeading(block, '#', ctx),
+  heading_2: (block, ctx) => renderMarkdownHeading(block, '##', ctx),
+  heading_3: (block, ctx) => renderMarkdownHeading(block, '###', ctx),
+
+  bulleted_list_item: (block, ctx) => renderMarkdownListItem(block.bulleted_list_item, '-', block, ctx),
+  numbered_list_item: (block, ctx) => renderMarkdownListItem(block.numbered_list_item, `${ctx.listIndex}.`, block, ctx),
+
+  quote: async (block, ctx) => {
+    const content = [ctx.richText(block.quote.rich_text), await ctx.renderChildren(block)]
+      .filter(Boolean)
+      .join('\n\n');
+    return prefixLines(content, '> ');
+  },
+
+  code: (block, ctx) => {
+    const language = block.code.language === 'plain text' ? '' : (block.code.language || '');
+    const codeText = block.code.rich_text.map(t => t.plain_text).join('');
+    // Use a fence longer than any run of backticks inside the code
+    const longestRun = Math.max(0, ...(codeText.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    const caption = block.code.caption?.length ? `\n\n*${ctx.richText(block.code.caption)}*` : '';
+    return `${fence}${language}\n${codeText}\n${fence}${caption}`;
+  },
+
+  divider: () => '---',
+
+  image: async (block, ctx) => {
+    const imageUrl = block.image.type === 'external' 
+      ? block.image.external.url 
+      : block.image.file.url;
+    const alt = (block.image.caption || []).map(t => t.plain_text).join('');
+    let src = imageUrl;
+    try {
+      src = (await ctx.downloadImage(imageUrl)).path;
+    } catch (err) {
+      console.warn(`    ⚠️  Failed to download image: ${err.message}`);
+    }
+    return `![${escapeMarkdown(alt)}](${src})`;
+  },
+
+  callout: async (block, ctx) => {
+    const icon = block.callout.icon?.emoji ? `${block.callout.icon.emoji} ` : '';
+    const content = [`${icon}${ctx.richText(block.callout.rich_text)}`, await ctx.renderChildren(block)]
+      .filter(Boolean)
+      .join('\n\n');
+    return prefixLines(content, '> ');
+  },
+
+  to_do: async (block, ctx) => {
+    const item = `- [${block.to_do.checked ? 'x' : ' '}] ${ctx.richText(block.to_do.rich_text)}`;
+    const childrenMarkdown = await ctx.renderChildren(block);
+    return childrenMarkdown ? `${item}\n${indentLines(childrenMarkdown, '  ')}` : item;
+  },
+
+  bookmark: (block, ctx) => {
+    const bookmarkUrl = block.bookmark.url;
+    const caption = block.bookmark.caption?.length ? ctx.richText(block.bookmark.caption) : escapeMarkdown(bookmarkUrl);
+    return `[${caption}](${bookmarkUrl})`;
+  },
+
+  link_preview: (block) => `<${block.link_preview.url}>`,
+
+  video: async (block, ctx) => `[Video](${await ctx.resolveFile(block.video)})`,
+
+  audio: async (block, ctx) => `[Audio](${await ctx.resolveFile(block.audio)})`,
+
+  file: async (block, ctx) => {
+    const originalUrl = block.file.type === 'external' 
+      ? block.file.external.url 
+      : block.file.file.url;
+    const fileName = block.file.name || originalUrl.split('/').pop()?.split('?')[0] || 'Download';
+    const caption = block.file.caption?.length ? ctx.richText(block.file.caption) : escapeMarkdown(fileName);
+    return `[📎 ${caption}](${await ctx.resolveFile(block.file)})`;
+  },
+
+  pdf: async (block, ctx) => {
+    const caption = block.pdf.caption?.length ? ctx.richText(block.pdf.caption) : 'PDF Document';
+    return `[${caption}](${await ctx.resolveFile(block.pdf)})`;
+  },
+
+  embed: (block) => `<${block.embed.url}>`,
+
+  toggle: async (block, ctx) => {
+    const summary = richTextToHtml(block.toggle.rich_text, ctx);
+    return `<details>\n<summary>${summary}</summary>\n\n${await ctx.renderChildren(block)}\n\n</details>`;
+  },
+
+  table: async (block, ctx) => {
+    if (!block.has_children) return '';
+
+    const rows = (await ctx.fetchChildren(block.id))
+      .filter(row => row.type === 'table_row')
+      .map(row => row.table_row.cells.map(cell => ctx.richText(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')));
+    if (rows.length === 0) return '';
+
+    // Markdown tables always need a header row; use a blank one if Notion has none
+    const width = Math.max(...rows.map(row => row.length));
+    const header = block.table.has_column_header ? rows.shift() : new Array(width).fill('');
+    const toRow = cells => `| ${cells.join(' | ')} |`;
+    return [toRow(header), toRow(new Array(width).fill('---')), ...rows.map(toRow)].join('\n');
+  },
+
+  column_list: async (block, ctx) => {
+    if (!block.has_children) return '';
+
+    const columns = await ctx.fetchChildren(block.id);
+    const parts = [];
+    for (const column of columns) {
+      if (column.type === 'column' && column.has_children) {
+        parts.push(await ctx.renderChildren(column));
+      }
+    }
+    return parts.filter(Boolean).join('\n\n');
+  },
+
+  synced_block: blockRenderers.synced_block,
+
+  equation: (block) => `$$\n${block.equation.expression}\n$$`,
+
+  table_of_contents: () => '',
+  breadcrumb: () => '',
+  child_page: (block, ctx) => {
+    const title = block.child_page.title;
+    const href = ctx.linkPage(block.id, title);
+    return href ? `[${escapeMarkdown(title)}](${href})` : '';
+  },
+  child_database: () => ''
+};
+
+// Render a Markdown heading, followed by children of toggleable headings
+async function renderMarkdownHeading(block, marker, ctx) {
+  const heading = `${marker} ${ctx.richText(block[block.type].rich_text)}`;
+  const childrenMarkdown = await ctx.renderChildren(block);
+  return childrenMarkdown ? `${heading}\n\n${childrenMarkdown}` : heading;
+}
+
+// Render one Markdown list item with nested children indented under it
+async function renderMarkdownListItem(item, marker, block, ctx) {
+  const line = `${marker} ${ctx.richText(item.rich_text)}`;
+  const childrenMarkdown = await ctx.renderChildren(block);
+  return childrenMarkdown ? `${line}\n${indentLines(childrenMarkdown, ' '.repeat(marker.length + 1))}` : line;
+}
+
+// Prefix every line (e.g. "> " for blockquotes)
+function prefixLines(text, prefix) {
+  return text.split('\n').map(line => (line ? `${prefix}${line}` : prefix.trimEnd())).join('\n');
+}
+
+// Indent every non-empty line
+function indentLines(text, indent) {
+  return text.split('\n').map(line => (line ? `${indent}${line}` : line)).join('\n');
+}
+
+// Escape characters that Markdown would otherwise treat as formatting
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_[\]<>])/g, '\\$1')
+    .replace(/^(\s*)#/gm, '$1\\#'); // Lines starting with # would become headings
+}
+
+// Convert Notion blocks to Markdown
+async function blocksToMarkdown(blocks, ctx) {
+  const parts = [];
+  let i = 0;
+
+  while (i < blocks.length) {
+    const block = blocks[i];
+
+    if (LIST_WRAPPERS[block.type]) {
+      // Consecutive list items form one list; numbered items count up from 1
+      const items = [];
+      let listIndex = 1;
+      while (i < blocks.length && blocks[i].type === block.type) {
+        items.push(await renderMarkdownBlock(blocks[i], { ...ctx, listIndex }));
+        listIndex++;
+        i++;
+      }
+      parts.push(items.join('\n'));
+      continue;
+    }
+
+    const markdown = await renderMarkdownBlock(block, ctx);
+    if (markdown) parts.push(markdown);
+    i++;
+  }
+
+  return parts.join('\n\n');
+}
+
+// Render one block with its registered Markdown renderer
+async function renderMarkdownBlock(block, ctx) {
+  const renderer = markdownBlockRenderers[block.type];
+  if (!renderer) {
+    console.log(`    ⚠️  Unsupported block type (markdown): ${block.type}`);
+    return '';
+  }
+  return (await renderer(block, ctx)) || '';
+}
+
+// Convert Notion rich text to Markdown
+function richTextToMarkdown(richTextArray, ctx) {
+  if (!richTextArray || richTextArray.length === 0) return '';
+
+  return richTextArray.map(text => {
+    if (text.type === 'equation') {
+      return `$${text.equation.expression}$`;
+    }
+    if (text.type === 'mention') {
+      if (text.mention.type === 'user') return `@${escapeMarkdown(text.plain_text)}`;
+      if (text.mention.type === 'page') {
+        const href = ctx.linkPage(text.mention.page.id, text.plain_text);
+        if (href) return `[${escapeMarkdown(text.plain_text)}](${href})`;
+      }
+      return escapeMarkdown(text.plain_text);
+    }
+
+    const annotations = text.annotations || {};
+    let content = annotations.code
+      ? `\`${text.plain_text}\``
+      : escapeMarkdown(text.plain_text).replace(/\n/g, '\\\n');
+
+    // Keep surrounding whitespace outside the markers ("**bold **" isn't valid Markdown)
+    const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    content = inner;
+    if (content) {
+      if (annotations.bold) content = `**${content}**`;
+      if (annotations.italic) content = `_${content}_`;
+      if (annotations.strikethrough) content = `~~${content}~~`;
+      if (annotations.underline) content = `<u>${content}</u>`;
+      const notionPageId = getNotionPageId(text.href);
+      const href = notionPageId ? ctx.linkPage(notionPageId, text.plain_text) : text.href;
+      if (href) content = `[${content}](${href})`;
+    }
+
+    return `${leading}${content}${trailing}`;
+  }).join('');
+}
+
+// YAML front matter for a Markdown post
+function generateMarkdownFrontMatter({ title, date, slug, tags }) {
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(title)}`,
+    `date: ${date}`,
+    `slug: ${slug}`
+  ];
+  lines.push(tags.length ? `tags:\n${tags.map(tag => `  - ${JSON.stringify(tag)}`).join('\n')}` : 'tags: []');
+  lines.push('---');
+  return lines.join('\n');
+}
+
+// Generate a Markdown file for a single post
+function generatePostMarkdown(properties, content) {
+  return `${generateMarkdownFrontMatter(properties)}\n\n${content}\n`;
+}
+
+module.exports = {
+  markdownBlockRenderers,
+  blocksToMarkdown,
+  richTextToMarkdown,
+  generatePostMarkdown
+};
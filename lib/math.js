@@ -0,0 +1,51 @@
+// Build-time math rendering for equation blocks and inline equations (KaTeX, no client-side JavaScript)
+
+const fs = require('fs');
+const path = require('path');
+const katex = require('katex');
+const { ROOT_DIR } = require('./config');
+const { escapeHtml } = require('./utils');
+
+// Self-hosted KaTeX stylesheet and fonts (copied from the katex package, paths relative to the site root)
+const MATH_ASSETS_DIR = 'vendor/katex';
+const MATH_STYLESHEET = `${MATH_ASSETS_DIR}/katex.min.css`;
+const KATEX_DIST_DIR = path.join(path.dirname(require.resolve('katex/package.json')), 'dist');
+
+// Render a LaTeX expression to HTML + MathML. Expressions KaTeX can't parse are
+// reported with the post slug and shown as escaped source instead.
+function renderMath(expression, { displayMode = false, slug } = {}) {
+  try {
+    return katex.renderToString(expression, { displayMode, output: 'htmlAndMathml', throwOnError: true });
+  } catch (err) {
+    console.warn(`    ⚠️  Failed to render equation in ${slug}: ${expression} (${err.message})`);
+    return `<code class="equation-error">${escapeHtml(expression)}</code>`;
+  }
+}
+
+// Whether rendered HTML contains KaTeX output (and so needs the stylesheet)
+function hasMath(html) {
+  return html.includes('class="katex');
+}
+
+// Copy the KaTeX stylesheet and fonts into the site (under `rootDir`) when they're missing or out of date
+function copyMathAssets(rootDir = ROOT_DIR) {
+  const targetDir = path.join(rootDir, MATH_ASSETS_DIR);
+  const stylesheet = fs.readFileSync(path.join(KATEX_DIST_DIR, 'katex.min.css'));
+  const targetStylesheet = path.join(rootDir, MATH_STYLESHEET);
+  if (fs.existsSync(targetStylesheet) && fs.readFileSync(targetStylesheet).equals(stylesheet)) return false;
+
+  fs.mkdirSync(path.join(targetDir, 'fonts'), { recursive: true });
+  fs.readdirSync(path.join(KATEX_DIST_DIR, 'fonts')).forEach(font => {
+    fs.copyFileSync(path.join(KATEX_DIST_DIR, 'fonts', font), path.join(targetDir, 'fonts', font));
+  });
+  fs.writeFileSync(targetStylesheet, stylesheet);
+  return true;
+}
+
+module.exports = {
+  MATH_ASSETS_DIR,
+  MATH_STYLESHEET,
+  renderMath,
+  hasMath,
+  copyMathAssets
+};
@@ -0,0 +1,202 @@
+// Notion data sources and the queries the build makes through them.
+//
+// A data source is any object with the two Notion API calls the build uses:
+//   queryDatabase(args)      - same as notion.databases.query(args)
+//   listBlockChildren(args)  - same as notion.blocks.children.list(args)
+// so a build can run against the live API, a recording made with --record, or test fixtures.
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@notionhq/client');
+const { slugify } = require('./utils');
+
+// Version of the recording file format written by --record
+const RECORDING_VERSION = 1;
+
+// Data source backed by the live Notion API
+function createNotionSource(apiKey) {
+  const notion = new Client({ auth: apiKey });
+  return {
+    queryDatabase: (args) => notion.databases.query(args),
+    listBlockChildren: (args) => notion.blocks.children.list(args)
+  };
+}
+
+// Key identifying one API request in a recording
+function getRecordingKey(method, args) {
+  return `${method} ${JSON.stringify(args)}`;
+}
+
+// Wrap a data source so every response is kept; call save(file) to write them out as JSON
+function createRecordingSource(source) {
+  const responses = {};
+  const record = (method) => async (args) => {
+    const response = await source[method](args);
+    responses[getRecordingKey(method, args)] = response;
+    return response;
+  };
+
+  return {
+    queryDatabase: record('queryDatabase'),
+    listBlockChildren: record('listBlockChildren'),
+    save: (recordingPath) => {
+      fs.mkdirSync(path.dirname(recordingPath), { recursive: true });
+      const sorted = {};
+      Object.keys(responses).sort().forEach(key => {
+        sorted[key] = responses[key];
+      });
+      fs.writeFileSync(recordingPath, `${JSON.stringify({ version: RECORDING_VERSION, responses: sorted }, null, 2)}\n`);
+      return Object.keys(sorted).length;
+    }
+  };
+}
+
+// Data source that answers from a recording made with --record (no network access)
+function createReplaySource(recordingPath) {
+  if (!fs.existsSync(recordingPath)) {
+    throw new Error(`Recording not found: ${recordingPath}`);
+  }
+  const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version in ${recordingPath} (expected ${RECORDING_VERSION})`);
+  }
+
+  const replay = (method) => async (args) => {
+    const key = getRecordingKey(method, args);
+    if (!(key in recording.responses)) {
+      throw new Error(`No recorded response in ${path.basename(recordingPath)} for ${key} (record it again with --record)`);
+    }
+    return recording.responses[key];
+  };
+
+  return {
+    queryDatabase: replay('queryDatabase'),
+    listBlockChildren: replay('listBlockChildren')
+  };
+}
+
+// Fetch published posts for a collection from Notion (all pages of results, unless limited)
+async function fetchPosts(source, collection, { since, limit } = {}) {
+  const filters = [collection.filter];
+  if (since) {
+    filters.push({
+      timestamp: 'last_edited_time',
+      last_edited_time: {
+        on_or_after: since
+      }
+    });
+  }
+  const activeFilters = filters.filter(Boolean);
+  const filter = activeFilters.length > 1 ? { and: activeFilters } : activeFilters[0];
+
+  const pages = [];
+  let cursor = undefined;
+
+  while (true) {
+    const response = await source.queryDatabase({
+      database_id: collection.databaseId,
+      filter,
+      sorts: collection.sorts,
+      start_cursor: cursor,
+      page_size: limit ? Math.min(limit - pages.length, 100) : 100
+    });
+
+    pages.push(...response.results);
+
+    if (!response.has_more || (limit && pages.length >= limit)) break;
+    cursor = response.next_cursor;
+  }
+
+  return limit ? pages.slice(0, limit) : pages;
+}
+
+// Fetch page content (blocks)
+async function fetchPageContent(source, pageId) {
+  const blocks = [];
+  let cursor = undefined;
+
+  while (true) {
+    const response = await source.listBlockChildren({
+      block_id: pageId,
+      start_cursor: cursor
+    });
+
+    blocks.push(...response.results);
+
+    if (!response.has_more) break;
+    cursor = response.next_cursor;
+  }
+
+  return blocks;
+}
+
+// Fetch children blocks for blocks that have nested content
+async function fetchBlockChildren(source, blockId) {
+  const blocks = [];
+  let cursor = undefined;
+
+  while (true) {
+    const response = await source.listBlockChildren({
+      block_id: blockId,
+      start_cursor: cursor
+    });
+
+    blocks.push(...response.results);
+
+    if (!response.has_more) break;
+    cursor = response.next_cursor;
+  }
+
+  return blocks;
+}
+
+// Blocks whose children the renderers never show (child pages are rendered as links)
+const UNRENDERED_CHILDREN = new Set(['child_page', 'child_database', 'unsupported']);
+
+// Block whose children render in place of `block`'s: a synced block copy shows its original's
+function getChildrenSourceId(block) {
+  if (block.type === 'synced_block' && block.synced_block.synced_from) {
+    return block.synced_block.synced_from.block_id;
+  }
+  return block.has_children && !UNRENDERED_CHILDREN.has(block.type) ? block.id : null;
+}
+
+// Fetch every nested block under `blocks` ahead of rendering. Siblings are fetched side by side
+// (the data source limits how many requests are in flight) into the `fetchChildren` cache, which
+// the renderers then read from. Failures are left for the renderer that needs the block to report.
+async function prefetchBlockTree(fetchChildren, blocks) {
+  await Promise.all(blocks.map(async block => {
+    const blockId = getChildrenSourceId(block);
+    if (!blockId) return;
+    try {
+      await prefetchBlockTree(fetchChildren, await fetchChildren(blockId));
+    } catch (err) {
+      // Reported when the block is rendered
+    }
+  }));
+}
+
+// Get page properties (property names come from the collection config)
+function getPageProperties(page, collection) {
+  const { properties } = collection;
+  const title = page.properties[properties.title]?.title?.[0]?.plain_text || 'Untitled';
+  const date = page.properties[properties.date]?.date?.start || new Date().toISOString().split('T')[0];
+  const tags = (page.properties[properties.tags]?.multi_select || []).map(option => option.name);
+  const summary = (page.properties[properties.summary]?.rich_text || []).map(text => text.plain_text).join('').trim();
+  // An explicit Slug property keeps the URL stable when the title is edited
+  const customSlug = (page.properties[properties.slug]?.rich_text || []).map(text => text.plain_text).join('');
+  const slug = slugify(customSlug) || slugify(title);
+
+  return { title, date, slug, tags, summary };
+}
+
+module.exports = {
+  createNotionSource,
+  createRecordingSource,
+  createReplaySource,
+  fetchPosts,
+  fetchPageContent,
+  fetchBlockChildren,
+  prefetchBlockTree,
+  getPageProperties
+};
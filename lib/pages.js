@@ -0,0 +1,399 @@
+// Page templates: posts, collection index, tag pages and redirects
+
+const crypto = require('crypto');
+const { config } = require('./config');
+const { escapeHtml, slugify, formatDate, formatDateShort, getYear, htmlToText, countWords, getReadingTime } = require('./utils');
+const { FEED_FILES } = require('./feeds');
+const { extractHeadings, renderTableOfContents, getPostText } = require('./html');
+const { getPageUrl, getPostDescription, getPostImage, renderSeoTags, renderPostJsonLd } = require('./seo');
+const { MATH_STYLESHEET, hasMath } = require('./math');
+const { SEARCH_INDEX_FILE } = require('./search');
+const { getRootPrefix, renderPage } = require('./templates');
+
+// Markers around the rendered post body, so unchanged posts can be read back for feeds
+const POST_CONTENT_START = '<!-- post-content:start -->';
+
+const POST_CONTENT_END = '<!-- post-content:end -->';
+
+// Built-in index page layouts a collection can choose with `indexTemplate`
+const INDEX_TEMPLATES = {
+  years: renderYearGroups,
+  list: renderFlatList,
+  cards: renderCards
+};
+
+// Render <link rel="alternate"> feed autodiscovery tags (empty if the collection has no feeds).
+// `basePath` leads from the page back to the collection folder (e.g. "../" from tags/).
+function renderFeedLinks(collection, basePath = '') {
+  if (!collection.feeds) return '';
+  const feedTitle = `${collection.name} - ${config.author}`;
+  return `    <link rel="alternate" type="application/rss+xml" title="${feedTitle} (RSS)" href="${basePath}${FEED_FILES.rss}">
+    <link rel="alternate" type="application/atom+xml" title="${feedTitle} (Atom)" href="${basePath}${FEED_FILES.atom}">
+    <link rel="alternate" type="application/feed+json" title="${feedTitle} (JSON Feed)" href="${basePath}${FEED_FILES.json}">
+`;
+}
+
+// Folder (inside a collection) holding the tag pages
+const TAGS_DIR = 'tags';
+
+// File name (without .html) of a tag's page. Tags that only differ in case or spacing share a
+// page; a tag that slugify would shorten ("C++", "日本") gets a hash of its name added, so it
+// never ends up empty or on another tag's page.
+function getTagSlug(tag) {
+  const name = tag.trim().toLowerCase();
+  const slug = slugify(name);
+  if (slug && slug === name.replace(/\s+/g, '-')) return slug;
+  const hash = crypto.createHash('md5').update(name.replace(/\s+/g, ' ')).digest('hex').slice(0, 6);
+  return slug ? `${slug}-${hash}` : `tag-${hash}`;
+}
+
+// Render a post's tags as links to their tag pages
+function renderTagList(tags, basePath = '') {
+  if (!tags || tags.length === 0) return '';
+  const tagsHtml = tags
+    .map(tag => `<li><a href="${basePath}${TAGS_DIR}/${getTagSlug(tag)}.html" class="post-tag">${escapeHtml(tag)}</a></li>`)
+    .join('');
+  return `<ul class="post-tags">${tagsHtml}</ul>`;
+}
+
+// Post fields used by the post page, index, feeds and search, derived from its rendered HTML
+function getPostDetails(properties, page, content, { cover = null, icon = null, draft } = {}) {
+  const { title, date, slug, tags, summary } = properties;
+  const wordCount = countWords(getPostText(content));
+  return {
+    title,
+    date,
+    slug,
+    tags,
+    content,
+    description: getPostDescription(summary, content),
+    image: getPostImage(cover, content),
+    cover,
+    icon,
+    wordCount,
+    readingTime: getReadingTime(wordCount),
+    updated: page.last_edited_time,
+    draft
+  };
+}
+
+// Point a post-relative image path (images/..., assets/...) at the post from another folder;
+// external URLs are left alone
+function resolvePostFile(src, basePath = '') {
+  return /^[a-z][a-z0-9+.-]*:|^\/\//i.test(src) ? src : `${basePath}${src}`;
+}
+
+// Render a Notion page icon: an emoji, or a small image
+function renderPageIcon(icon, className, basePath = '') {
+  if (!icon) return '';
+  if (icon.emoji) return `<span class="${className}" aria-hidden="true">${icon.emoji}</span>`;
+  return `<img class="${className}" src="${escapeHtml(resolvePostFile(icon.src, basePath))}" alt="" aria-hidden="true">`;
+}
+
+// "N min read", with the exact word count as a tooltip (empty for posts without a count)
+function renderReadingTime(post) {
+  if (!post.readingTime) return '';
+  return `<span class="reading-time" title="${post.wordCount} words">${post.readingTime} min read</span>`;
+}
+
+// Previous/next links and related posts under a post (see lib/related.js)
+function renderPostNavigation(navigation) {
+  if (!navigation) return '';
+  const { previous, next, related } = navigation;
+  const link = (target, rel, label) => `
+                        <a href="${target.slug}.html" class="post-nav-link post-nav-${rel}" rel="${rel}">
+                            <span class="post-nav-label">${label}</span>
+                            <span class="post-nav-title">${target.title}</span>
+                        </a>`;
+  const navHtml = previous || next
+    ? `
+                    <nav class="post-nav" aria-label="Older and newer posts">${previous ? link(previous, 'prev', '← Older') : ''}${next ? link(next, 'next', 'Newer →') : ''}
+                    </nav>`
+    : '';
+  const relatedHtml = related.length
+    ? `
+                    <section class="related-posts" aria-labelledby="related-posts-heading">
+                        <h2 id="related-posts-heading" class="related-posts-heading">Related</h2>
+                        <ul class="related-posts-list">
+${related.map(post => `                            <li><a href="${post.slug}.html" class="related-post-link">${post.title}</a> <time class="post-date" datetime="${post.date}">${formatDate(post.date)}</time></li>`).join('\n')}
+                        </ul>
+                    </section>`
+    : '';
+  return relatedHtml + navHtml;
+}
+
+// Generate HTML for a single post (`navigation` is its entry from getPostNavigation, if any)
+function generatePostHtml(post, collection, navigation = null) {
+  const { title, date, content, tags = [] } = post;
+  const root = getRootPrefix(collection.outputDir);
+  const url = `${collection.url}${post.slug}.html`;
+  const tagsHtml = tags.length ? `\n                    ${renderTagList(tags)}` : '';
+  // Sticky table of contents beside the post on wide screens (collections with stickyToc)
+  const headings = collection.stickyToc ? extractHeadings(content) : [];
+  const tocHtml = headings.length > 1
+    ? `\n                <aside class="post-toc">${renderTableOfContents(headings)}</aside>\n`
+    : '';
+  // Drafts only exist in preview builds (see lib/preview.js)
+  const draftHtml = post.draft ? '\n                <p class="draft-banner">Draft – this post isn’t published yet</p>' : '';
+  // KaTeX styles and fonts, only on posts with equations
+  const mathStylesheet = hasMath(content) ? `    <link rel="stylesheet" href="${root}${MATH_STYLESHEET}">\n` : '';
+  // Notion page cover above the title
+  const coverHtml = post.cover
+    ? `\n                    <img class="post-cover" src="${escapeHtml(resolvePostFile(post.cover))}" alt="">`
+    : '';
+  const readingTimeHtml = post.readingTime ? ` · ${renderReadingTime(post)}` : '';
+  return renderPage(`${collection.outputDir}/${post.slug}.html`, {
+    title: `${title} - ${config.author}`,
+    head: renderSeoTags({ title, description: post.description, url, image: post.image, type: 'article', noindex: collection.preview })
+      + renderPostJsonLd(post, url),
+    stylesheets: mathStylesheet + renderFeedLinks(collection),
+    main: `            <article class="blog-post">${tocHtml}${draftHtml}
+                <div class="post-header">${coverHtml}
+                    <h1 class="post-title-full">${renderPageIcon(post.icon, 'post-icon')}${title}</h1>
+                    <p class="post-meta-full">${formatDate(date)}${readingTimeHtml}</p>${tagsHtml}
+                </div>
+
+                <div class="post-content">
+                    ${POST_CONTENT_START}
+                    ${content}
+                    ${POST_CONTENT_END}
+                </div>
+
+                <div class="post-footer">${renderPostNavigation(navigation)}
+                    <a href="index.html" class="back-link">← Back to ${collection.name}</a>
+                </div>
+            </article>`
+  });
+}
+
+// Generate a stub page that sends visitors (and search engines) from an old slug to the post
+function generateRedirectHtml(redirect, collection) {
+  const url = `${collection.url}${redirect.to}.html`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(redirect.title)} - ${config.author}</title>
+    <meta name="robots" content="noindex">
+    <link rel="canonical" href="${url}">
+    <meta http-equiv="refresh" content="0; url=${redirect.to}.html">
+</head>
+<body>
+    <p>This post has moved to <a href="${redirect.to}.html">${url}</a>.</p>
+</body>
+</html>
+`;
+}
+
+// Render one post row of an index list (`basePath` leads back to the collection folder)
+function renderPostListItem(post, dateText, basePath = '') {
+  const draftHtml = post.draft ? ' <span class="draft-label">Draft</span>' : '';
+  const linkHtml = `<a href="${basePath}${post.slug}.html" class="post-list-link">${post.title}</a>${draftHtml}`;
+  const bodyHtml = post.tags && post.tags.length
+    ? `<div class="post-list-body">
+                                ${linkHtml}
+                                ${renderTagList(post.tags, basePath)}
+                            </div>`
+    : linkHtml;
+  return `                        <li class="post-list-item">
+                            <time class="post-date">${dateText}</time>
+                            ${bodyHtml}
+                        </li>`;
+}
+
+// Index layout: posts grouped under year headings
+function renderYearGroups(posts, collection, siteConfig, { basePath = '' } = {}) {
+  // Group posts by year
+  const postsByYear = {};
+  posts.forEach(post => {
+    const year = getYear(post.date);
+    if (!postsByYear[year]) postsByYear[year] = [];
+    postsByYear[year].push(post);
+  });
+
+  // Generate year groups HTML
+  return Object.keys(postsByYear)
+    .sort((a, b) => b - a) // Sort years descending
+    .map(year => {
+      const postsHtml = postsByYear[year]
+        .map(post => renderPostListItem(post, formatDateShort(post.date), basePath))
+        .join('\n');
+
+      return `                <div class="year-group">
+                    <h2 class="year-heading">${year}</h2>
+                    <ul class="posts-list">
+${postsHtml}
+                    </ul>
+                </div>`;
+    })
+    .join('\n\n');
+}
+
+// Index layout: a single list with month and year on each post
+function renderFlatList(posts, collection, siteConfig, { basePath = '' } = {}) {
+  const postsHtml = posts
+    .map(post => {
+      const [year, month] = post.date.split('-').map(Number);
+      const monthYear = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+      return renderPostListItem(post, monthYear, basePath);
+    })
+    .join('\n');
+
+  return `                <ul class="posts-list">
+${postsHtml}
+                </ul>`;
+}
+
+// Index layout: a card per post with its cover, icon, reading time and excerpt
+function renderCards(posts, collection, siteConfig, { basePath = '' } = {}) {
+  const cardsHtml = posts
+    .map(post => {
+      const href = `${basePath}${post.slug}.html`;
+      const coverHtml = post.cover
+        ? `
+                        <a href="${href}" class="post-card-cover" tabindex="-1" aria-hidden="true"><img src="${escapeHtml(resolvePostFile(post.cover, basePath))}" alt="" loading="lazy"></a>`
+        : '';
+      const draftHtml = post.draft ? ' <span class="draft-label">Draft</span>' : '';
+      const readingTimeHtml = post.readingTime ? ` · ${renderReadingTime(post)}` : '';
+      const excerptHtml = post.description
+        ? `
+                        <p class="post-card-excerpt">${escapeHtml(post.description)}</p>`
+        : '';
+      const tagsHtml = post.tags && post.tags.length
+        ? `
+                        ${renderTagList(post.tags, basePath)}`
+        : '';
+      return `                    <li class="post-card">${coverHtml}
+                        <h2 class="post-card-title">${renderPageIcon(post.icon, 'post-card-icon', basePath)}<a href="${href}" class="post-list-link">${post.title}</a>${draftHtml}</h2>
+                        <p class="post-card-meta"><time class="post-date" datetime="${post.date}">${formatDate(post.date)}</time>${readingTimeHtml}</p>${excerptHtml}${tagsHtml}
+                    </li>`;
+    })
+    .join('\n');
+
+  return `                <ul class="post-cards">
+${cardsHtml}
+                </ul>`;
+}
+
+// Look up a collection's index template (built-in name or function)
+function getIndexTemplate(collection) {
+  const template = typeof collection.indexTemplate === 'function'
+    ? collection.indexTemplate
+    : INDEX_TEMPLATES[collection.indexTemplate];
+  if (!template) {
+    throw new Error(`Unknown indexTemplate "${collection.indexTemplate}" for ${collection.name}`);
+  }
+  return template;
+}
+
+// Search box for a collection index. It stays hidden (leaving the full post list) until
+// script.js has loaded the search index.
+function renderSearchBox(collection) {
+  const label = `Search ${collection.name.toLowerCase()}`;
+  return `                <form class="post-search" role="search" data-index="${SEARCH_INDEX_FILE}" hidden>
+                    <input type="search" class="post-search-input" placeholder="${label} (press /)" aria-label="${label}" autocomplete="off">
+                </form>
+                <p class="search-status" aria-live="polite" hidden></p>
+                <ul class="posts-list search-results" hidden></ul>
+
+`;
+}
+
+// Generate a collection's index page
+function generateIndexHtml(posts, collection) {
+  const template = getIndexTemplate(collection);
+  const searchHtml = collection.search ? renderSearchBox(collection) : '';
+  return generateListPageHtml(collection, {
+    title: collection.name,
+    description: collection.description || `${collection.name} by ${config.author}`,
+    sectionHtml: searchHtml + template(posts, collection, config, { basePath: '' })
+  });
+}
+
+// Generate the page for one tag, listing its posts with the collection's index layout
+function generateTagPageHtml(tag, posts, collection) {
+  const template = getIndexTemplate(collection);
+  return generateListPageHtml(collection, {
+    title: `${escapeHtml(tag)} - ${collection.name}`,
+    heading: escapeHtml(tag),
+    description: `${collection.name} by ${config.author} tagged “${tag}”`,
+    intro: `${posts.length} post${posts.length === 1 ? '' : 's'} tagged “${escapeHtml(tag)}” · <a href="index.html" class="inline-link">All tags</a>`,
+    subdir: TAGS_DIR,
+    filename: `${getTagSlug(tag)}.html`,
+    sectionHtml: template(posts, collection, config, { basePath: '../' })
+  });
+}
+
+// Generate the tag overview page (every tag with its post count, most used first)
+function generateTagIndexHtml(tagGroups, collection) {
+  const tagsHtml = tagGroups
+    .map(group => `                    <li><a href="${group.slug}.html" class="tag-cloud-link">${escapeHtml(group.tag)} <span class="tag-count">${group.posts.length}</span></a></li>`)
+    .join('\n');
+  return generateListPageHtml(collection, {
+    title: `Tags - ${collection.name}`,
+    heading: 'Tags',
+    description: `All tags used in ${collection.name} by ${config.author}`,
+    intro: `<a href="../index.html" class="inline-link">← All ${collection.name.toLowerCase()}</a>`,
+    subdir: TAGS_DIR,
+    sectionHtml: `                <ul class="tag-cloud">
+${tagsHtml}
+                </ul>`
+  });
+}
+
+// Group posts by tag (tags with the same slug are merged), sorted by post count then name
+function groupPostsByTag(posts) {
+  const groups = new Map();
+  posts.forEach(post => {
+    (post.tags || []).forEach(tag => {
+      const slug = getTagSlug(tag);
+      if (!groups.has(slug)) groups.set(slug, { tag, slug, posts: [] });
+      groups.get(slug).posts.push(post);
+    });
+  });
+  return [...groups.values()].sort((a, b) => b.posts.length - a.posts.length || a.tag.localeCompare(b.tag));
+}
+
+// Shared layout for index-style pages (collection index, tag pages).
+// `title` and `heading` are HTML; `description` is plain text.
+function generateListPageHtml(collection, { title, heading = title, description, intro = '', subdir = '', filename = 'index.html', sectionHtml }) {
+  const dir = subdir ? `${collection.outputDir}/${subdir}` : collection.outputDir;
+  const basePath = subdir ? '../' : '';
+  const url = getPageUrl(`${dir}/${filename}`);
+
+  return renderPage(`${dir}/${filename}`, {
+    title: `${title} - ${config.author}`,
+    head: renderSeoTags({ title: htmlToText(title), description, url, type: 'website', noindex: collection.preview }),
+    stylesheets: renderFeedLinks(collection, basePath),
+    main: `            <section class="hero">
+                <h1 class="hero-title">${heading}</h1>
+                
+                <div class="hero-content">
+                    <p class="hero-text">${intro}
+                    </p>
+                </div>
+            </section>
+
+            <section class="posts-section">
+${sectionHtml}
+            </section>`
+  });
+}
+
+module.exports = {
+  POST_CONTENT_START,
+  POST_CONTENT_END,
+  INDEX_TEMPLATES,
+  TAGS_DIR,
+  renderFeedLinks,
+  getTagSlug,
+  renderTagList,
+  getPostDetails,
+  generatePostHtml,
+  generateRedirectHtml,
+  generateIndexHtml,
+  generateTagPageHtml,
+  generateTagIndexHtml,
+  groupPostsByTag,
+  generateListPageHtml
+};
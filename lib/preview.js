@@ -0,0 +1,189 @@
+// Draft preview: renders published and Draft posts into a git-ignored folder, serves the site on
+// localhost, and re-syncs and reloads the browser when a page is edited in Notion
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT_DIR, config, getCollectionDirs } = require('./config');
+const { fetchPosts, getPageProperties } = require('./notion');
+const { createPageLinks } = require('./links');
+const { syncCollection } = require('./sync');
+
+// Preview builds go here instead of the collection folders (listed in .gitignore)
+const PREVIEW_DIR = path.join(ROOT_DIR, '.preview');
+const DEFAULT_PORT = 4000;
+// How often Notion is polled for edits (last_edited_time only has minute precision anyway)
+const POLL_INTERVAL = 10000;
+// Server-sent events endpoint that tells open pages to reload
+const RELOAD_PATH = '/__preview/reload';
+const RELOAD_SCRIPT = `<script>new EventSource('${RELOAD_PATH}').onmessage = () => location.reload();</script>`;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf'
+};
+
+// Preview copy of a collection: writes to PREVIEW_DIR and marks its pages noindex
+function getPreviewCollection(collection) {
+  return { ...collection, ...getCollectionDirs(collection.outputDir, PREVIEW_DIR), preview: true };
+}
+
+// Notion filter for everything a preview shows: published posts and drafts
+function getPreviewFilter(collection) {
+  if (!collection.draftFilter || !collection.filter) return collection.filter;
+  return { or: [collection.filter, collection.draftFilter] };
+}
+
+// Pages to preview (in the collection's sort order) and which of them are drafts
+async function fetchPreviewPages(source, collection) {
+  const pages = await fetchPosts(source, { ...collection, filter: getPreviewFilter(collection) });
+  const drafts = collection.draftFilter
+    ? await fetchPosts(source, { ...collection, filter: collection.draftFilter })
+    : [];
+  return { pages, draftIds: new Set(drafts.map(page => page.id)) };
+}
+
+// Fingerprint of every previewed page's last edit (changes when a page is edited, added or removed)
+function getEditSignature(pages) {
+  return pages.map(page => `${page.id}@${page.last_edited_time}`).sort().join('\n');
+}
+
+// Render every collection, drafts included, into PREVIEW_DIR. Returns the edit signature of what was built.
+async function syncPreview(source, options) {
+  const collections = config.collections.map(getPreviewCollection);
+  const syncedAt = new Date().toISOString();
+  const previewPages = [];
+  for (const collection of collections) {
+    previewPages.push(await fetchPreviewPages(source, collection));
+  }
+
+  // Drafts are linkable from other posts in the preview
+  const pageLinks = createPageLinks(collections.map((collection, i) => ({
+    collection,
+    pages: previewPages[i].pages.map(page => ({ id: page.id, ...getPageProperties(page, collection) }))
+  })));
+
+  for (const [i, collection] of collections.entries()) {
+    const { pages, draftIds } = previewPages[i];
+    await syncCollection(source, collection, options, { publishedPages: pages, pageLinks, draftIds, syncedAt });
+    console.log(`   ${draftIds.size} draft(s) included`);
+  }
+  return getEditSignature(previewPages.flatMap(({ pages }) => pages));
+}
+
+// Map a request path to a file: collection folders come from the preview build, everything
+// else (hand-written pages, styles, scripts) from the repo. Dotfiles are never served.
+function resolvePreviewFile(urlPath) {
+  const relativePath = path.normalize(urlPath).replace(/^[/\\]+/, '');
+  const parts = relativePath.split(/[/\\]/);
+  if (parts.some(part => part.startsWith('.') || part === 'node_modules')) return null;
+
+  const inCollection = config.collections.some(collection => parts[0] === collection.outputDir.split('/')[0]);
+  const roots = inCollection ? [PREVIEW_DIR] : [PREVIEW_DIR, ROOT_DIR];
+  for (const root of roots) {
+    let filePath = path.join(root, relativePath);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+// Serve the preview on localhost. Returns a function that reloads every open page.
+function startPreviewServer(port) {
+  const clients = new Set();
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Bad request');
+      return;
+    }
+
+    if (urlPath === RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    const filePath = resolvePreviewFile(urlPath);
+    if (!filePath) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let body = fs.readFileSync(filePath);
+    if (extension === '.html') {
+      body = body.toString().replace('</body>', `    ${RELOAD_SCRIPT}\n</body>`);
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream', 'Cache-Control': 'no-store' });
+    res.end(body);
+  });
+  server.on('error', err => {
+    console.error(`❌ Preview server failed: ${err.message}`);
+    process.exit(1);
+  });
+  server.listen(port, '127.0.0.1');
+  return () => clients.forEach(client => client.write('data: reload\n\n'));
+}
+
+// Build the preview, serve it, then poll Notion and rebuild + reload whenever a page changes
+async function runPreview(source, options) {
+  // Previews always rebuild every collection as HTML
+  const previewOptions = { ...options, format: 'html', since: undefined, slug: undefined, limit: undefined, partial: false };
+  const port = options.port || DEFAULT_PORT;
+
+  console.log(`👀 Building preview into ${path.relative(ROOT_DIR, PREVIEW_DIR)}/`);
+  let signature = await syncPreview(source, previewOptions);
+  const reload = startPreviewServer(port);
+  console.log(`\n👀 Preview running at http://localhost:${port}/ (Ctrl+C to stop)`);
+
+  const collections = config.collections.map(getPreviewCollection);
+  const poll = async () => {
+    try {
+      const pages = [];
+      for (const collection of collections) {
+        pages.push(...await fetchPosts(source, { ...collection, filter: getPreviewFilter(collection) }));
+      }
+      if (getEditSignature(pages) !== signature) {
+        console.log('\n🔄 Notion changed, updating preview...');
+        signature = await syncPreview(source, previewOptions);
+        reload();
+        console.log('✅ Preview updated');
+      }
+    } catch (err) {
+      console.error(`❌ Preview update failed: ${err.message}`);
+    }
+    setTimeout(poll, POLL_INTERVAL);
+  };
+  setTimeout(poll, POLL_INTERVAL);
+}
+
+module.exports = {
+  PREVIEW_DIR,
+  getPreviewCollection,
+  getPreviewFilter,
+  resolvePreviewFile,
+  syncPreview,
+  runPreview
+};
@@ -0,0 +1,96 @@
+// Post navigation computed at build time: previous/next by publish date and related posts
+
+const { getPostText } = require('./html');
+
+// Posts sharing no tags need at least this much text similarity (cosine, 0-1) to count as related
+const MIN_SIMILARITY = 0.1;
+
+// Common words that say nothing about what a post is about
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'and', 'are', 'because', 'been', 'but', 'can', 'could', 'did', 'does',
+  'for', 'from', 'had', 'has', 'have', 'her', 'his', 'how', 'into', 'its', 'just', 'like', 'more',
+  'most', 'not', 'now', 'one', 'only', 'our', 'out', 'she', 'should', 'some', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'was', 'were', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Word counts for a post's title and body (lowercased, without stop words and short words)
+function getTermCounts(post) {
+  const counts = new Map();
+  const words = `${post.title} ${getPostText(post.content || '')}`.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  words
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+}
+
+// TF-IDF vectors for every post, so words used across the whole collection weigh nothing
+function getTermVectors(posts) {
+  const counts = posts.map(getTermCounts);
+  const documentFrequency = new Map();
+  counts.forEach(terms => terms.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  return counts.map(terms => {
+    const vector = new Map();
+    terms.forEach((count, term) => {
+      const weight = count * Math.log(posts.length / documentFrequency.get(term));
+      if (weight > 0) vector.set(term, weight);
+    });
+    return vector;
+  });
+}
+
+// Cosine similarity of two term vectors
+function getSimilarity(a, b) {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  if (dot === 0) return 0;
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+// Up to `limit` posts related to posts[index]: the most shared tags first, then the most similar text
+function findRelatedPosts(posts, index, vectors, limit) {
+  const post = posts[index];
+  const tags = new Set(post.tags || []);
+  return posts
+    .map((other, i) => ({
+      post: other,
+      sharedTags: i === index ? 0 : (other.tags || []).filter(tag => tags.has(tag)).length,
+      similarity: i === index ? 0 : getSimilarity(vectors[index], vectors[i])
+    }))
+    .filter(candidate => candidate.post !== post && (candidate.sharedTags > 0 || candidate.similarity >= MIN_SIMILARITY))
+    .sort((a, b) => b.sharedTags - a.sharedTags
+      || b.similarity - a.similarity
+      || b.post.date.localeCompare(a.post.date))
+    .slice(0, limit)
+    .map(candidate => candidate.post);
+}
+
+// Navigation for every post, keyed by slug: { previous, next, related } with up to `relatedLimit`
+// related posts. `previous` is the next older post and `next` the next newer one (posts on the
+// same day keep their given order).
+function getPostNavigation(posts, relatedLimit) {
+  const byDate = posts
+    .map((post, i) => ({ post, i }))
+    .sort((a, b) => a.post.date.localeCompare(b.post.date) || b.i - a.i)
+    .map(entry => entry.post);
+  const vectors = getTermVectors(posts);
+
+  const navigation = new Map();
+  byDate.forEach((post, i) => {
+    navigation.set(post.slug, {
+      previous: byDate[i - 1] || null,
+      next: byDate[i + 1] || null,
+      related: relatedLimit > 0 ? findRelatedPosts(posts, posts.indexOf(post), vectors, relatedLimit) : []
+    });
+  });
+  return navigation;
+}
+
+module.exports = {
+  getPostNavigation
+};
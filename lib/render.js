@@ -0,0 +1,108 @@
+// Render context and the renderer registry used by plugins
+
+const path = require('path');
+const { ROOT_DIR } = require('./config');
+const { escapeHtml } = require('./utils');
+const files = require('./files');
+const { normalizePageId, getPageHref } = require('./links');
+const {
+  blockRenderers,
+  mentionRenderers,
+  annotationRenderers,
+  richTextRenderers,
+  blocksToHtml,
+  richTextToHtml
+} = require('./html');
+const { markdownBlockRenderers, blocksToMarkdown, richTextToMarkdown } = require('./markdown');
+
+// Wrap a block fetcher so each block's children are only requested once
+// (lets the HTML and Markdown renderers share one walk of the page). A failed request
+// is forgotten, so the next post that shows the block asks for it again.
+function memoizeFetch(fetchChildren) {
+  const cache = new Map();
+  return (blockId) => {
+    if (!cache.has(blockId)) {
+      const request = Promise.resolve(fetchChildren(blockId));
+      cache.set(blockId, request);
+      request.catch(() => {
+        if (cache.get(blockId) === request) cache.delete(blockId);
+      });
+    }
+    return cache.get(blockId);
+  };
+}
+
+// Create the render context passed to every block, rich text and mention renderer.
+// `format` is 'html' or 'markdown' and decides what richText/renderBlocks produce.
+// `fetchChildren(blockId)` loads nested blocks from the Notion data source; `fileStore`
+// (default: lib/files.js) downloads images and files, and can be swapped out in tests.
+// `pageLinks` (see lib/links.js) lists the published posts that page links resolve to.
+function createRenderContext(slug, collection, { format = 'html', fetchChildren, fileStore = files, pageLinks = new Map() } = {}) {
+  const ctx = {
+    slug,
+    collection,
+    format,
+    // Render rich text / a list of blocks with this same context
+    richText: (richText) => (format === 'markdown' ? richTextToMarkdown(richText, ctx) : richTextToHtml(richText, ctx)),
+    renderBlocks: (blocks) => (format === 'markdown' ? blocksToMarkdown(blocks, ctx) : blocksToHtml(blocks, ctx)),
+    // Fetch a block's children from Notion
+    fetchChildren,
+    // Heading ids already used in this post (kept unique)
+    headingIds: new Set(),
+    // Notion pages this post links to, by page id: relative href, or null if unpublished
+    linkedPages: new Map(),
+    // Href for a link to another Notion page (null, with a warning, if it isn't a published post)
+    linkPage: (pageId, title) => {
+      const href = getPageHref(pageLinks, pageId, collection);
+      if (!href) console.warn(`    ⚠️  Not linking "${title}" in ${slug}: the page isn't published`);
+      ctx.linkedPages.set(normalizePageId(pageId), href);
+      return href;
+    },
+    // Fetch and render a block's nested children ('' if it has none)
+    renderChildren: async (block) => {
+      if (!block.has_children) return '';
+      const children = await fetchChildren(block.id);
+      return ctx.renderBlocks(children);
+    },
+    // Asset downloaders (return site-relative paths)
+    downloadImage: (imageUrl) => fileStore.downloadImage(imageUrl, slug, collection),
+    resolveFile: (fileObject) => fileStore.resolveFileUrl(fileObject, slug, collection)
+  };
+  return ctx;
+}
+
+// Registry API handed to renderer plugins (see `plugins` in site.config.js)
+const rendererRegistry = {
+  registerBlockRenderer: (type, renderer) => { blockRenderers[type] = renderer; },
+  registerMentionRenderer: (type, renderer) => { mentionRenderers[type] = renderer; },
+  registerAnnotationRenderer: (name, renderer) => { annotationRenderers[name] = renderer; },
+  registerRichTextRenderer: (type, renderer) => { richTextRenderers[type] = renderer; },
+  registerMarkdownBlockRenderer: (type, renderer) => { markdownBlockRenderers[type] = renderer; },
+  // Look up the current renderer, e.g. to wrap the built-in one
+  getBlockRenderer: (type) => blockRenderers[type],
+  getMentionRenderer: (type) => mentionRenderers[type],
+  getAnnotationRenderer: (name) => annotationRenderers[name],
+  getRichTextRenderer: (type) => richTextRenderers[type],
+  getMarkdownBlockRenderer: (type) => markdownBlockRenderers[type],
+  escapeHtml
+};
+
+// Load renderer plugins listed in site.config.js. Each plugin module exports a
+// function that receives the registry: module.exports = (registry) => { ... }
+function loadPlugins(pluginPaths) {
+  for (const pluginPath of pluginPaths) {
+    const plugin = require(pluginPath);
+    if (typeof plugin !== 'function') {
+      throw new Error(`Plugin ${path.relative(ROOT_DIR, pluginPath)} must export a function`);
+    }
+    plugin(rendererRegistry);
+    console.log(`🔌 Loaded plugin: ${path.relative(ROOT_DIR, pluginPath)}`);
+  }
+}
+
+module.exports = {
+  memoizeFetch,
+  createRenderContext,
+  rendererRegistry,
+  loadPlugins
+};
@@ -0,0 +1,25 @@
+// Search index for a collection's client-side search box (see script.js)
+
+const { extractHeadings, getPostText } = require('./html');
+
+// Written next to the posts in each collection with `search` enabled
+const SEARCH_INDEX_FILE = 'search.json';
+
+// Generate the search index: one compact entry per post, in index order
+function generateSearchIndex(posts) {
+  return JSON.stringify({
+    posts: posts.map(post => ({
+      title: post.title,
+      url: `${post.slug}.html`,
+      date: post.date,
+      tags: post.tags || [],
+      headings: extractHeadings(post.content).map(heading => heading.text),
+      text: getPostText(post.content)
+    }))
+  });
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  generateSearchIndex
+};
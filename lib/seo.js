@@ -0,0 +1,139 @@
+// Meta descriptions, social cards, structured data, sitemap.xml and robots.txt
+
+const { config } = require('./config');
+const { escapeXml, toDate, htmlToText, truncateText } = require('./utils');
+const { downloadImage, resolveFileUrl } = require('./files');
+
+const SITEMAP_FILE = 'sitemap.xml';
+
+const ROBOTS_FILE = 'robots.txt';
+
+// Absolute URL of a page, given its path from the site root ("thoughts/index.html" -> ".../thoughts/")
+function getPageUrl(pagePath) {
+  return new URL(pagePath.replace(/(^|\/)index\.html$/, '$1'), config.siteUrl).href;
+}
+
+// Post description: the Summary property, or else the first paragraph with text
+function getPostDescription(summary, content) {
+  if (summary) return truncateText(summary);
+  for (const match of content.matchAll(/<p>([\s\S]*?)<\/p>/g)) {
+    const text = htmlToText(match[1]);
+    if (text) return truncateText(text);
+  }
+  return '';
+}
+
+// Cover image for a post (relative to the post, or absolute): the page cover, or else the first image
+function getPostImage(cover, content) {
+  if (cover) return cover;
+  const match = content.match(/<img[^>]*\bsrc="([^"]+)"/);
+  return match ? match[1] : null;
+}
+
+// Resolve a page's Notion cover to a local image path (Notion-hosted) or external URL
+async function resolvePageCover(page, slug, collection) {
+  if (!page.cover) return null;
+  if (page.cover.type === 'external') return page.cover.external.url;
+
+  try {
+    const result = await downloadImage(page.cover.file.url, slug, collection);
+    console.log(`    🖼️  ${result.skipped ? 'Cover exists' : 'Downloaded cover'}: ${result.path}`);
+    return result.path;
+  } catch (err) {
+    console.warn(`    ⚠️  Failed to download cover: ${err.message}`);
+    return null;
+  }
+}
+
+// Resolve a page's Notion icon: { emoji } or { src } (a local asset path or external URL)
+async function resolvePageIcon(page, slug, collection) {
+  const icon = page.icon;
+  if (!icon) return null;
+  if (icon.type === 'emoji') return { emoji: icon.emoji };
+  if (icon.type === 'custom_emoji') return { src: icon.custom_emoji.url };
+  return { src: await resolveFileUrl(icon, slug, collection) };
+}
+
+// Render description, canonical, Open Graph and Twitter card tags (`noindex` keeps preview pages out of search engines)
+function renderSeoTags({ title, description, url, image, type, noindex = false }) {
+  const imageUrl = image ? new URL(image, url).href : null;
+  const tags = [
+    noindex && '<meta name="robots" content="noindex">',
+    description && `<meta name="description" content="${escapeXml(description)}">`,
+    `<link rel="canonical" href="${escapeXml(url)}">`,
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:site_name" content="${escapeXml(config.author)}">`,
+    `<meta property="og:title" content="${escapeXml(title)}">`,
+    description && `<meta property="og:description" content="${escapeXml(description)}">`,
+    `<meta property="og:url" content="${escapeXml(url)}">`,
+    imageUrl && `<meta property="og:image" content="${escapeXml(imageUrl)}">`,
+    `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeXml(title)}">`,
+    description && `<meta name="twitter:description" content="${escapeXml(description)}">`,
+    imageUrl && `<meta name="twitter:image" content="${escapeXml(imageUrl)}">`
+  ];
+  return tags.filter(Boolean).map(tag => `    ${tag}\n`).join('');
+}
+
+// Render JSON-LD BlogPosting structured data for a post
+function renderPostJsonLd(post, url) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.description || undefined,
+    image: post.image ? new URL(post.image, url).href : undefined,
+    datePublished: post.date,
+    dateModified: post.updated,
+    author: { '@type': 'Person', name: config.author, url: config.siteUrl },
+    keywords: post.tags && post.tags.length ? post.tags.join(', ') : undefined,
+    wordCount: post.wordCount || undefined,
+    url,
+    mainEntityOfPage: url
+  };
+  // Keep "</script>" (or any tag) inside strings from ending the script element
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  return `    <script type="application/ld+json">
+${json.split('\n').map(line => `    ${line}`).join('\n')}
+    </script>
+`;
+}
+
+// Generate sitemap.xml from a list of { url, lastmod } entries
+function generateSitemap(entries) {
+  const urlsXml = entries.map(entry => {
+    const lastmod = entry.lastmod ? `\n    <lastmod>${toDate(entry.lastmod).toISOString()}</lastmod>` : '';
+    return `  <url>
+    <loc>${escapeXml(entry.url)}</loc>${lastmod}
+  </url>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urlsXml}
+</urlset>
+`;
+}
+
+// Generate robots.txt pointing crawlers at the sitemap
+function generateRobotsTxt() {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${getPageUrl(SITEMAP_FILE)}
+`;
+}
+
+module.exports = {
+  SITEMAP_FILE,
+  ROBOTS_FILE,
+  getPageUrl,
+  getPostDescription,
+  getPostImage,
+  resolvePageCover,
+  resolvePageIcon,
+  renderSeoTags,
+  renderPostJsonLd,
+  generateSitemap,
+  generateRobotsTxt
+};
@@ -0,0 +1,68 @@
+// Slug collisions, slug history and redirects from old slugs
+
+const fs = require('fs');
+const path = require('path');
+
+const SLUG_HISTORY_FILE = '.notion-slugs.json';
+
+// Fail the build if two posts would be written to the same file
+function assertUniqueSlugs(pages, pageProperties, collection) {
+  const owners = new Map();
+  pages.forEach(page => {
+    const { slug, title } = pageProperties.get(page.id);
+    if (slug === 'index') {
+      throw new Error(`Post "${title}" in ${collection.name} cannot use the slug "index" (reserved for the index page)`);
+    }
+    if (owners.has(slug)) {
+      throw new Error(`Slug collision in ${collection.name}: "${title}" and "${owners.get(slug)}" both use "${slug}". Set a unique Slug property on one of them.`);
+    }
+    owners.set(slug, title);
+  });
+}
+
+// Load the page ID -> slugs (every slug the page has ever had) map
+function loadSlugHistory(historyPath) {
+  if (!fs.existsSync(historyPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unreadable ${path.basename(historyPath)} (${err.message}); fix or restore it to keep old URLs redirecting`);
+  }
+}
+
+// Write the slug history (sorted by page ID to keep diffs stable)
+function saveSlugHistory(historyPath, history) {
+  const sorted = {};
+  Object.keys(history).sort().forEach(id => {
+    sorted[id] = history[id];
+  });
+  fs.writeFileSync(historyPath, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+// Old slugs of the current pages that should redirect to the page's current slug.
+// A slug now used by another post (or claimed by an earlier redirect) is skipped with a warning.
+function getRedirects(pages, pageProperties, slugHistory) {
+  const claimed = new Set(pages.map(page => pageProperties.get(page.id).slug));
+  const redirects = [];
+  pages.forEach(page => {
+    const { slug, title } = pageProperties.get(page.id);
+    (slugHistory[page.id] || []).forEach(oldSlug => {
+      if (oldSlug === slug) return;
+      if (claimed.has(oldSlug)) {
+        console.warn(`  ⚠️  Not redirecting ${oldSlug}.html to "${title}": the slug is in use by another post`);
+        return;
+      }
+      claimed.add(oldSlug);
+      redirects.push({ from: oldSlug, to: slug, title });
+    });
+  });
+  return redirects;
+}
+
+module.exports = {
+  SLUG_HISTORY_FILE,
+  assertUniqueSlugs,
+  loadSlugHistory,
+  saveSlugHistory,
+  getRedirects
+};
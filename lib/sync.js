@@ -0,0 +1,487 @@
+// Builds every collection from a Notion data source
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, config, getCollectionDirs } = require('./config');
+const { fetchPosts, fetchPageContent, fetchBlockChildren, prefetchBlockTree, getPageProperties } = require('./notion');
+const { memoizeFetch, createRenderContext } = require('./render');
+const { renderPostContent } = require('./html');
+const { hasSignedUrl, removePartialDownloads } = require('./files');
+const { MATH_ASSETS_DIR, copyMathAssets } = require('./math');
+const { createPageLinks, getPageHref } = require('./links');
+const { SEARCH_INDEX_FILE, generateSearchIndex } = require('./search');
+const { buildPages } = require('./templates');
+const { getPostNavigation } = require('./related');
+const { blocksToMarkdown, generatePostMarkdown } = require('./markdown');
+const { FEED_FILES, getFeedUpdated, generateRssFeed, generateAtomFeed, generateJsonFeed } = require('./feeds');
+const {
+  SITEMAP_FILE,
+  ROBOTS_FILE,
+  getPageUrl,
+  resolvePageCover,
+  resolvePageIcon,
+  generateSitemap,
+  generateRobotsTxt
+} = require('./seo');
+const {
+  TAGS_DIR,
+  getPostDetails,
+  generatePostHtml,
+  generateRedirectHtml,
+  generateIndexHtml,
+  generateTagPageHtml,
+  generateTagIndexHtml,
+  groupPostsByTag
+} = require('./pages');
+const {
+  MANIFEST_FILE,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  isEditedNearSync,
+  readPostContent,
+  getReferencedFiles,
+  findOrphanedFiles,
+  removeEmptyDirs
+} = require('./manifest');
+const { SLUG_HISTORY_FILE, assertUniqueSlugs, loadSlugHistory, saveSlugHistory, getRedirects } = require('./slugs');
+
+// Sitemap entries for the hand-written pages and every collection (index, tag pages and posts)
+function getSitemapEntries(collectionPosts) {
+  const entries = (config.pages || []).map(page => ({ url: getPageUrl(page) }));
+  config.collections.forEach((collection, i) => {
+    const posts = collectionPosts[i];
+    entries.push({ url: collection.url, lastmod: posts.length ? getFeedUpdated(posts).toISOString() : null });
+    groupPostsByTag(posts).forEach(group => {
+      entries.push({ url: getPageUrl(`${collection.outputDir}/${TAGS_DIR}/${group.slug}.html`) });
+    });
+    posts.forEach(post => {
+      entries.push({ url: `${collection.url}${post.slug}.html`, lastmod: post.updated });
+    });
+  });
+  return entries;
+}
+
+// Elapsed time for log messages, e.g. "1.2s"
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Posts from earlier syncs that this (partial) run didn't render, read back from their HTML files
+function getCachedPosts(manifest, outputDir, skipSlugs) {
+  return Object.values(manifest.pages)
+    .filter(entry => !skipSlugs.has(entry.slug))
+    .map(entry => ({
+      title: entry.title,
+      date: entry.date,
+      slug: entry.slug,
+      tags: entry.tags,
+      content: readPostContent(path.join(outputDir, entry.file))
+    }))
+    .filter(post => post.content !== null);
+}
+
+// Sync one collection from a Notion data source: render its posts, index and feeds into its output folder.
+// `publishedPages` (this collection's published pages, if already fetched, at `syncedAt`) and `pageLinks` come from syncSite;
+// `draftIds` marks the pages a preview build renders as drafts. `fetchChildren` (memoized) can be shared
+// between collections so blocks shown in several posts are fetched once; posts that fail to render are
+// added to `failures` and skipped, and posts with files that failed to download to `downloadFailures`.
+async function syncCollection(source, collection, options, {
+  publishedPages,
+  pageLinks = new Map(),
+  draftIds = new Set(),
+  fetchChildren = memoizeFetch(blockId => fetchBlockChildren(source, blockId)),
+  failures = [],
+  downloadFailures = [],
+  syncedAt = new Date().toISOString()
+} = {}) {
+  const { force, partial } = options;
+  console.log(`\n📚 ${collection.name}`);
+
+  // Reuse the site-wide query unless --since or --limit narrow this run
+  let pages = publishedPages && !options.since && !options.limit
+    ? publishedPages
+    : await fetchPosts(source, collection, options);
+  if (options.slug) {
+    pages = pages.filter(page => getPageProperties(page, collection).slug === options.slug);
+  }
+  console.log(`📝 Found ${pages.length} ${partial ? 'matching' : 'published'} posts`);
+
+  // Resolve slugs up front so a collision fails the build before anything is written
+  const pageProperties = new Map(pages.map(page => [page.id, getPageProperties(page, collection)]));
+  assertUniqueSlugs(pages, pageProperties, collection);
+
+  const posts = [];
+  const outputDir = collection.dir;
+  const imagesDir = collection.imagesDir;
+  const generatedFiles = new Set(['index.html', MANIFEST_FILE, SLUG_HISTORY_FILE]); // Track files we generate
+  const generatedMarkdown = new Set();
+
+  // Output formats for this run (--format html|markdown|both)
+  const formats = options.format === 'both' ? ['html', 'markdown'] : [options.format];
+  const wantHtml = formats.includes('html');
+  const wantMarkdown = formats.includes('markdown');
+  if (collection.feeds) {
+    Object.values(FEED_FILES).forEach(file => generatedFiles.add(file));
+  }
+  if (collection.search) {
+    generatedFiles.add(SEARCH_INDEX_FILE);
+  }
+
+  // Ensure output and images directories exist
+  if (!fs.existsSync(imagesDir)) {
+    fs.mkdirSync(imagesDir, { recursive: true });
+  }
+
+  // Record every slug each page has had, so renamed posts keep their old URLs
+  const slugHistoryPath = path.join(outputDir, SLUG_HISTORY_FILE);
+  const slugHistory = loadSlugHistory(slugHistoryPath);
+  pages.forEach(page => {
+    const { slug } = pageProperties.get(page.id);
+    const slugs = slugHistory[page.id] || [];
+    if (!slugs.includes(slug)) slugHistory[page.id] = [...slugs, slug];
+  });
+
+  // Load manifest of previously synced pages (--force rebuilds everything)
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  const previousManifest = force ? createManifest() : loadManifest(manifestPath);
+  const manifest = { ...previousManifest, pages: partial ? { ...previousManifest.pages } : {} };
+  let skippedCount = 0;
+  let updatedCount = 0;
+  let failedCount = 0;
+
+  // Process each post
+  for (const page of pages) {
+    const properties = pageProperties.get(page.id);
+    const { title, date, slug, tags } = properties;
+    const draft = draftIds.has(page.id);
+    const filename = `${slug}.html`;
+    const filepath = path.join(outputDir, filename);
+    const markdownFilename = `${slug}.md`;
+    const markdownPath = path.join(outputDir, markdownFilename);
+
+    // Skip pages that haven't been edited since the last sync (and already exist in every format we want)
+    const previous = previousManifest.pages[page.id];
+    const sameEdit = previous && previous.lastEditedTime === page.last_edited_time && previous.file === filename
+      && Boolean(previous.draft) === draft && !isEditedNearSync(page.last_edited_time, previousManifest.syncedAt);
+    // ...and whose links to other posts still point where they did (renamed or unpublished posts re-render it)
+    const sameLinks = sameEdit && Object.entries(previous.links || {})
+      .every(([pageId, href]) => getPageHref(pageLinks, pageId, collection) === href);
+    const unchanged = !partial && sameLinks && formats.every(format => (previous.formats || []).includes(format));
+    const cachedContent = unchanged && wantHtml ? readPostContent(filepath) : null;
+    const canSkip = unchanged
+      && (!wantHtml || cachedContent !== null)
+      && (!wantMarkdown || fs.existsSync(markdownPath));
+
+    let htmlContent = cachedContent;
+    let cover = canSkip ? previous.cover || null : null;
+    let icon = canSkip ? previous.icon || null : null;
+    let post = null;
+    let entryFiles;
+    let downloadFailed = false;
+    if (canSkip) {
+      console.log(`  ⏭️  Unchanged: ${title}`);
+      entryFiles = { formats: previous.formats, images: previous.images, assets: previous.assets, links: previous.links };
+      skippedCount++;
+    } else {
+      console.log(`  → Processing: ${title}`);
+      const started = Date.now();
+      try {
+        // Fetch the whole block tree up front (children are cached for both formats and the rest of the run)
+        const blocks = await fetchPageContent(source, page.id);
+        await prefetchBlockTree(fetchChildren, blocks);
+        const rendered = [];
+        const linkedPages = new Map();
+
+        if (wantHtml) {
+          const htmlCtx = createRenderContext(slug, collection, { fetchChildren, pageLinks });
+          htmlContent = await renderPostContent(blocks, htmlCtx);
+          htmlCtx.linkedPages.forEach((href, pageId) => linkedPages.set(pageId, href));
+          cover = await resolvePageCover(page, slug, collection);
+          icon = await resolvePageIcon(page, slug, collection);
+
+          // The post page is written once every post is known (for its previous/next and related links)
+          post = getPostDetails(properties, page, htmlContent, { cover, icon, draft });
+          rendered.push(htmlContent);
+        }
+
+        if (wantMarkdown) {
+          const markdownCtx = createRenderContext(slug, collection, { format: 'markdown', fetchChildren, pageLinks });
+          const markdownContent = await blocksToMarkdown(blocks, markdownCtx);
+          markdownCtx.linkedPages.forEach((href, pageId) => linkedPages.set(pageId, href));
+          fs.writeFileSync(markdownPath, generatePostMarkdown(properties, markdownContent));
+          rendered.push(markdownContent);
+        }
+
+        // A failed download leaves the expiring signed URL (or no cover) in the post, so it's
+        // rendered again next sync instead of being skipped as unchanged
+        downloadFailed = rendered.some(hasSignedUrl)
+          || Boolean(icon && icon.src && hasSignedUrl(icon.src))
+          || Boolean(wantHtml && page.cover && page.cover.type === 'file' && !cover);
+
+        // Formats rendered from an older edit are stale and get dropped
+        const keptFormats = sameEdit ? (previous.formats || []) : [];
+        entryFiles = {
+          formats: [...new Set([...keptFormats, ...formats])].sort(),
+          images: [...new Set([
+            ...rendered.flatMap(content => getReferencedFiles(content, 'images')),
+            ...(cover && cover.startsWith('images/') ? [cover] : [])
+          ])],
+          assets: [...new Set([
+            ...rendered.flatMap(content => getReferencedFiles(content, 'assets')),
+            ...(icon && icon.src && icon.src.startsWith('assets/') ? [icon.src] : [])
+          ])],
+          links: linkedPages.size ? Object.fromEntries(linkedPages) : undefined
+        };
+        console.log(`    ⏱️  Done in ${formatSeconds(Date.now() - started)}`);
+      } catch (err) {
+        // Report the post and move on. Whatever an earlier sync wrote for it stays up, with an
+        // unknown edit time so it's rendered again next sync.
+        console.error(`  ❌ Failed: ${title} after ${formatSeconds(Date.now() - started)} (${err.message})`);
+        failures.push({ collection: collection.name, title, error: err.message });
+        failedCount++;
+        const keptContent = wantHtml ? readPostContent(filepath) : null;
+        const keptMarkdown = wantMarkdown && fs.existsSync(markdownPath) ? fs.readFileSync(markdownPath, 'utf8') : null;
+        const kept = [keptContent, keptMarkdown].filter(content => content !== null);
+        if (kept.length === 0) continue;
+        const keptCover = previous && previous.file === filename ? previous.cover || null : null;
+        manifest.pages[page.id] = {
+          lastEditedTime: null,
+          title,
+          date,
+          slug,
+          tags,
+          file: filename,
+          ...(keptCover ? { cover: keptCover } : {}),
+          formats: [keptContent !== null && 'html', keptMarkdown !== null && 'markdown'].filter(Boolean),
+          images: [...new Set([
+            ...kept.flatMap(content => getReferencedFiles(content, 'images')),
+            ...(keptCover && keptCover.startsWith('images/') ? [keptCover] : [])
+          ])],
+          assets: [...new Set(kept.flatMap(content => getReferencedFiles(content, 'assets')))]
+        };
+        if (keptContent !== null) {
+          generatedFiles.add(filename);
+          posts.push(getPostDetails(properties, page, keptContent, { cover: keptCover, draft }));
+        }
+        if (keptMarkdown !== null) generatedMarkdown.add(markdownFilename);
+        continue;
+      }
+      updatedCount++;
+    }
+
+    if (downloadFailed) {
+      console.warn('    ⚠️  Some files failed to download; the post will be rendered again next sync');
+      downloadFailures.push({ collection: collection.name, title });
+    }
+    manifest.pages[page.id] = {
+      lastEditedTime: downloadFailed ? null : page.last_edited_time,
+      title,
+      date,
+      slug,
+      tags,
+      file: filename,
+      ...(cover ? { cover } : {}),
+      ...(icon ? { icon } : {}),
+      ...(draft ? { draft } : {}),
+      ...entryFiles
+    };
+
+    generatedFiles.add(filename);
+    generatedMarkdown.add(markdownFilename);
+    if (wantHtml) {
+      posts.push(post || getPostDetails(properties, page, htmlContent, { cover, icon, draft }));
+    }
+  }
+
+  // When pages were last rendered, for the edits made in the same minute. A sync that rendered
+  // nothing keeps the previous time, so the manifest only changes along with the posts.
+  if (updatedCount > 0) manifest.syncedAt = syncedAt;
+
+  // Write every post page, unchanged ones included, so their previous/next and related links follow
+  // added, removed and edited posts. Partial builds link to the posts of earlier syncs as well,
+  // but only rewrite the ones they rendered.
+  if (wantHtml) {
+    const renderedSlugs = new Set(posts.map(post => post.slug));
+    const navigation = getPostNavigation(
+      partial ? [...posts, ...getCachedPosts(manifest, outputDir, renderedSlugs)] : posts,
+      collection.relatedPosts
+    );
+    posts.forEach(post => {
+      const postHtml = generatePostHtml(post, collection, navigation.get(post.slug));
+      fs.writeFileSync(path.join(outputDir, `${post.slug}.html`), postHtml);
+    });
+  }
+
+  // Replace files at old slugs with redirects to the current ones
+  const redirects = wantHtml ? getRedirects(pages, pageProperties, slugHistory) : [];
+  redirects.forEach(redirect => {
+    fs.writeFileSync(path.join(outputDir, `${redirect.from}.html`), generateRedirectHtml(redirect, collection));
+    generatedFiles.add(`${redirect.from}.html`);
+    console.log(`  ↪️  Redirect: ${redirect.from}.html → ${redirect.to}.html`);
+  });
+  saveSlugHistory(slugHistoryPath, slugHistory);
+
+  if (partial) {
+    saveManifest(manifestPath, manifest);
+    console.log(`   ${updatedCount} post(s) rebuilt${failedCount ? `, ${failedCount} failed` : ''} (partial build: index, feeds and cleanup skipped)`);
+    return null;
+  }
+
+  // Posts that were in the last sync but are no longer published
+  const removedPosts = Object.keys(previousManifest.pages)
+    .filter(id => !manifest.pages[id])
+    .map(id => previousManifest.pages[id]);
+
+  if (wantHtml) {
+    // Generate and write index page
+    const indexHtml = generateIndexHtml(posts, collection);
+    fs.writeFileSync(path.join(outputDir, 'index.html'), indexHtml);
+
+    // Generate and write feeds
+    if (collection.feeds) {
+      fs.writeFileSync(path.join(outputDir, FEED_FILES.rss), generateRssFeed(posts, collection));
+      fs.writeFileSync(path.join(outputDir, FEED_FILES.atom), generateAtomFeed(posts, collection));
+      fs.writeFileSync(path.join(outputDir, FEED_FILES.json), generateJsonFeed(posts, collection));
+    }
+
+    // Generate the search index for the index page's search box
+    if (collection.search) {
+      fs.writeFileSync(path.join(outputDir, SEARCH_INDEX_FILE), generateSearchIndex(posts));
+    }
+
+    // Generate tag pages (replacing the whole tags folder so removed tags disappear)
+    const tagsDir = path.join(outputDir, TAGS_DIR);
+    const tagGroups = groupPostsByTag(posts);
+    fs.rmSync(tagsDir, { recursive: true, force: true });
+    if (tagGroups.length > 0) {
+      fs.mkdirSync(tagsDir, { recursive: true });
+      fs.writeFileSync(path.join(tagsDir, 'index.html'), generateTagIndexHtml(tagGroups, collection));
+      tagGroups.forEach(group => {
+        fs.writeFileSync(path.join(tagsDir, `${group.slug}.html`), generateTagPageHtml(group.tag, group.posts, collection));
+      });
+      console.log(`   ${tagGroups.length} tag page(s) written to /${collection.outputDir}/${TAGS_DIR}/`);
+    }
+  }
+
+  // Clean up orphaned files (posts that were unpublished or renamed), only for formats built this run
+  const existingFiles = fs.readdirSync(outputDir).filter(f => {
+    if (wantHtml && /\.(html|xml|json)$/.test(f)) return !generatedFiles.has(f);
+    if (wantMarkdown && f.endsWith('.md')) return !generatedMarkdown.has(f);
+    return false;
+  });
+  let deletedCount = 0;
+  for (const file of existingFiles) {
+    fs.unlinkSync(path.join(outputDir, file));
+    console.log(`  🗑️  Deleted orphaned file: ${file}`);
+    deletedCount++;
+  }
+
+  // Clean up orphaned images and assets (no longer referenced by any current post)
+  const manifestEntries = Object.values(manifest.pages);
+  const orphanedImages = [
+    ...findOrphanedFiles(outputDir, 'images', manifestEntries),
+    ...findOrphanedFiles(outputDir, 'assets', manifestEntries)
+  ];
+  for (const file of orphanedImages) {
+    if (options.keepImages) {
+      console.log(`  🖼️  Unreferenced file (kept): ${file}`);
+    } else {
+      fs.unlinkSync(path.join(outputDir, file));
+      console.log(`  🗑️  Deleted orphaned file: ${file}`);
+    }
+  }
+  ['images', 'assets'].forEach(folder => {
+    removePartialDownloads(path.join(outputDir, folder))
+      .forEach(file => console.log(`  🗑️  Deleted partial download: ${folder}/${file}`));
+  });
+  if (!options.keepImages) {
+    removeEmptyDirs(collection.assetsDir);
+  }
+
+  saveManifest(manifestPath, manifest);
+
+  console.log(`   ${pages.length} posts written to /${collection.outputDir}/ (${formats.join(' + ')})`);
+  console.log(`   ${updatedCount} updated, ${skippedCount} skipped (unchanged), ${removedPosts.length} removed${failedCount ? `, ${failedCount} failed` : ''}`);
+  removedPosts.forEach(post => console.log(`     - removed: ${post.title}`));
+  if (wantHtml && collection.feeds) {
+    console.log(`   Feeds written: ${Object.values(FEED_FILES).join(', ')}`);
+  }
+  if (wantHtml && collection.search) {
+    console.log(`   Search index written: ${SEARCH_INDEX_FILE}`);
+  }
+  if (redirects.length > 0) {
+    console.log(`   ${redirects.length} redirect(s) from old slugs written`);
+  }
+  if (deletedCount > 0) {
+    console.log(`   ${deletedCount} orphaned file(s) removed`);
+  }
+  if (orphanedImages.length > 0) {
+    console.log(options.keepImages
+      ? `   ${orphanedImages.length} unreferenced image(s)/asset(s) kept (--keep-images)`
+      : `   ${orphanedImages.length} orphaned image(s)/asset(s) removed`);
+  }
+
+  // Posts for the sitemap (only known when the HTML was built)
+  return wantHtml ? posts : null;
+}
+
+// Sync every collection, then the site-wide sitemap.xml and robots.txt.
+// `rootDir` builds the site somewhere other than the repo (a dry run's copy).
+// Returns { failures, downloadFailures }: the posts that failed to render ({ collection, title, error }),
+// which were skipped, and the posts written with files that failed to download ({ collection, title }).
+async function syncSite(source, options, { rootDir = ROOT_DIR } = {}) {
+  const collections = rootDir === ROOT_DIR
+    ? config.collections
+    : config.collections.map(collection => ({ ...collection, ...getCollectionDirs(collection.outputDir, rootDir) }));
+
+  if (copyMathAssets(rootDir)) {
+    console.log(`🧮 KaTeX stylesheet and fonts copied to ${MATH_ASSETS_DIR}/`);
+  }
+  const pages = buildPages(rootDir);
+  if (pages.length > 0) {
+    console.log(`📄 ${pages.join(', ')} built from templates/pages/`);
+  }
+
+  // Every published post up front, so links between posts resolve whichever ones this run rebuilds
+  const syncedAt = new Date().toISOString();
+  const publishedPages = [];
+  for (const collection of collections) {
+    publishedPages.push(await fetchPosts(source, collection));
+  }
+  const pageLinks = createPageLinks(collections.map((collection, i) => ({
+    collection,
+    pages: publishedPages[i].map(page => ({ id: page.id, ...getPageProperties(page, collection) }))
+  })));
+
+  // One block cache for the whole run, so synced blocks shared between posts are fetched once
+  const fetchChildren = memoizeFetch(blockId => fetchBlockChildren(source, blockId));
+  const failures = [];
+  const downloadFailures = [];
+  const collectionPosts = [];
+  for (const [i, collection] of collections.entries()) {
+    collectionPosts.push(await syncCollection(source, collection, options, {
+      publishedPages: publishedPages[i],
+      pageLinks,
+      fetchChildren,
+      failures,
+      downloadFailures,
+      syncedAt
+    }));
+  }
+
+  // Sitemap and robots.txt need every collection's posts (skipped for partial and Markdown-only builds)
+  if (collectionPosts.every(Boolean)) {
+    const entries = getSitemapEntries(collectionPosts);
+    fs.writeFileSync(path.join(rootDir, SITEMAP_FILE), generateSitemap(entries));
+    fs.writeFileSync(path.join(rootDir, ROBOTS_FILE), generateRobotsTxt());
+    console.log(`\n🗺️  ${SITEMAP_FILE} written (${entries.length} URLs), ${ROBOTS_FILE} updated`);
+  }
+
+  return { failures, downloadFailures };
+}
+
+module.exports = {
+  syncCollection,
+  syncSite
+};
@@ -0,0 +1,135 @@
+// Layout templates shared by every page: templates/layout.html wraps the page body and
+// includes templates/partials/<name>.html with {{> name}}. Hand-written pages are built
+// from templates/pages/<name>.html into <name>.html at the site root.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, config } = require('./config');
+
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'templates');
+const PAGE_SOURCES_DIR = path.join(TEMPLATES_DIR, 'pages');
+
+// Read a template file (relative to templates/, without the .html extension)
+function readTemplate(name) {
+  const templatePath = path.join(TEMPLATES_DIR, `${name}.html`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: templates/${name}.html`);
+  }
+  return fs.readFileSync(templatePath, 'utf8');
+}
+
+// Layout and partial files (what every generated page is built from)
+function getLayoutFiles() {
+  const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+  const partials = fs.existsSync(partialsDir)
+    ? fs.readdirSync(partialsDir).filter(file => file.endsWith('.html')).sort().map(file => path.join(partialsDir, file))
+    : [];
+  return [path.join(TEMPLATES_DIR, 'layout.html'), ...partials];
+}
+
+// Fill in {{name}} variables (inserted as-is, so values must already be HTML) and {{> partial}} includes.
+// Inserted values aren't scanned again, so post content containing "{{" is left alone.
+function renderTemplate(template, data) {
+  return template.replace(/\{\{\s*(>\s*)?([\w-]+)\s*\}\}/g, (match, partial, name) => {
+    if (partial) return renderTemplate(readTemplate(`partials/${name}`).replace(/\n$/, ''), data);
+    if (!(name in data)) throw new Error(`Unknown template variable {{${name}}}`);
+    return String(data[name]);
+  });
+}
+
+// Relative path from a folder (relative to the site root, e.g. "thoughts") back to the root (e.g. "../", or "" at the root)
+function getRootPrefix(dir) {
+  const prefix = path.posix.relative(dir, '');
+  return prefix ? `${prefix}/` : '';
+}
+
+// Whether a nav link points at the page, or at the index of the folder it's in
+function isActiveLink(href, pagePath) {
+  if (href === pagePath) return true;
+  const dir = path.posix.dirname(href);
+  return path.posix.basename(href) === 'index.html' && dir !== '.' && pagePath.startsWith(`${dir}/`);
+}
+
+// Render header nav links relative to a page (path relative to the site root), marking the current section
+function renderNav(pagePath) {
+  const dir = path.posix.dirname(pagePath);
+  return config.nav
+    .map(link => {
+      const href = path.posix.relative(dir, link.href);
+      return isActiveLink(link.href, pagePath)
+        ? `                <a href="${href}" class="nav-link active" aria-current="page">${link.label}</a>`
+        : `                <a href="${href}" class="nav-link">${link.label}</a>`;
+    })
+    .join('\n');
+}
+
+// Year in the footer: the build year (SOURCE_DATE_EPOCH pins it for reproducible builds)
+function getCopyrightYear() {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  return (epoch ? new Date(Number(epoch) * 1000) : new Date()).getUTCFullYear();
+}
+
+// Render a full page with the base layout. `pagePath` is relative to the site root
+// (e.g. "thoughts/hello.html"); `head` and `stylesheets` are extra tags for <head>.
+function renderPage(pagePath, { title, head = '', stylesheets = '', main }) {
+  return renderTemplate(readTemplate('layout'), {
+    title,
+    head,
+    stylesheets,
+    main,
+    root: getRootPrefix(path.posix.dirname(pagePath)),
+    nav: renderNav(pagePath),
+    year: getCopyrightYear(),
+    author: config.author
+  });
+}
+
+// Split "---\nkey: value\n---\n" front matter off a page source
+function parseFrontMatter(source) {
+  const match = source.match(/^---\n([\s\S]*?)\n---\n/);
+  if (!match) return { data: {}, body: source };
+  const data = {};
+  match[1].split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) data[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return { data, body: source.slice(match[0].length) };
+}
+
+// Hand-written pages with a source in templates/pages/ (output filenames, e.g. "index.html")
+function getPageSources() {
+  if (!fs.existsSync(PAGE_SOURCES_DIR)) return [];
+  return fs.readdirSync(PAGE_SOURCES_DIR).filter(file => file.endsWith('.html')).sort();
+}
+
+// Render a hand-written page from its source in templates/pages/
+function renderPageSource(file) {
+  const { data, body } = parseFrontMatter(fs.readFileSync(path.join(PAGE_SOURCES_DIR, file), 'utf8'));
+  return renderPage(file, {
+    title: data.title || config.author,
+    main: body.replace(/\n$/, '')
+  });
+}
+
+// Build every hand-written page into the site root (or `rootDir`). Returns the files written.
+function buildPages(rootDir = ROOT_DIR) {
+  const pages = getPageSources();
+  pages.forEach(file => {
+    fs.writeFileSync(path.join(rootDir, file), renderPageSource(file));
+  });
+  return pages;
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  getLayoutFiles,
+  renderTemplate,
+  getRootPrefix,
+  renderNav,
+  getCopyrightYear,
+  renderPage,
+  parseFrontMatter,
+  getPageSources,
+  renderPageSource,
+  buildPages
+};
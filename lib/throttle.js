@@ -0,0 +1,141 @@
+// Rate-limited, retrying wrapper around a Notion data source (see lib/notion.js).
+//
+// Notion allows an average of three requests per second per integration and answers
+// bursts with 429 and a Retry-After header. Every request made through the wrapper waits
+// for a free slot (at most `concurrency` in flight), is spaced out to `requestsPerSecond`,
+// and is retried with exponential backoff when Notion reports a transient failure.
+
+// Default limits, matching Notion's documented rate limit
+const THROTTLE_DEFAULTS = {
+  concurrency: 3,
+  requestsPerSecond: 3,
+  retries: 5,
+  baseDelay: 1000,
+  maxDelay: 30000
+};
+
+// HTTP statuses and Notion error codes worth retrying (rate limits, conflicts and server errors)
+const RETRYABLE_STATUSES = new Set([409, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+  'rate_limited',
+  'conflict_error',
+  'internal_server_error',
+  'service_unavailable',
+  'gateway_timeout',
+  'notionhq_client_request_timeout',
+  // Network errors from node-fetch
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE'
+]);
+
+// Whether a failed request may succeed if it's made again
+function isRetryableError(error) {
+  return RETRYABLE_STATUSES.has(error.status) || RETRYABLE_CODES.has(error.code);
+}
+
+// Milliseconds Notion asked us to wait (Retry-After in seconds or as an HTTP date), or null
+function getRetryAfter(error, now = Date.now()) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Wait before retry number `attempt` (0-based): Retry-After if Notion sent one, else exponential backoff
+function getRetryDelay(error, attempt, { baseDelay, maxDelay }, now = Date.now()) {
+  const retryAfter = getRetryAfter(error, now);
+  if (retryAfter !== null) return retryAfter;
+  return Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+// Short label for a failed request in log messages
+function describeError(error) {
+  return error.status ? `${error.status}${error.code ? ` ${error.code}` : ''}` : (error.code || error.message);
+}
+
+// Wrap a data source so its requests share one rate limit and concurrency limit and are retried.
+// `sleep` and `now` can be swapped out in tests; `stats` counts requests and retries.
+function createThrottledSource(source, options = {}) {
+  const {
+    concurrency,
+    requestsPerSecond,
+    retries,
+    baseDelay,
+    maxDelay,
+    sleep = delay => new Promise(resolve => setTimeout(resolve, delay)),
+    now = Date.now
+  } = { ...THROTTLE_DEFAULTS, ...options };
+  const interval = 1000 / requestsPerSecond;
+  const stats = { requests: 0, retries: 0 };
+  let active = 0;
+  const waiting = [];
+  // Earliest time the next request may start (pushed back by the rate limit and by Retry-After)
+  let nextStart = 0;
+
+  // Wait for one of the `concurrency` slots (a finished request hands its slot straight on)
+  async function acquire() {
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  // Wait until the rate limit lets another request start
+  async function waitForTurn() {
+    const start = Math.max(now(), nextStart);
+    nextStart = start + interval;
+    const delay = start - now();
+    if (delay > 0) await sleep(delay);
+  }
+
+  const throttle = (method) => async (args) => {
+    await acquire();
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await waitForTurn();
+        stats.requests++;
+        try {
+          return await source[method](args);
+        } catch (error) {
+          if (attempt >= retries || !isRetryableError(error)) throw error;
+          const delay = getRetryDelay(error, attempt, { baseDelay, maxDelay }, now());
+          // Hold back every request, not just this one: the rate limit is per integration
+          nextStart = Math.max(nextStart, now() + delay);
+          stats.retries++;
+          console.warn(`    ⏳ Notion ${describeError(error)}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})`);
+        }
+      }
+    } finally {
+      release();
+    }
+  };
+
+  return {
+    ...source,
+    queryDatabase: throttle('queryDatabase'),
+    listBlockChildren: throttle('listBlockChildren'),
+    stats
+  };
+}
+
+module.exports = {
+  THROTTLE_DEFAULTS,
+  isRetryableError,
+  getRetryAfter,
+  getRetryDelay,
+  createThrottledSource
+};
@@ -0,0 +1,113 @@
+// Small text and date helpers shared by the renderers and page templates
+
+// Default length of generated meta descriptions
+const DESCRIPTION_LENGTH = 160;
+
+// Average adult reading speed used for reading time estimates
+const WORDS_PER_MINUTE = 220;
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Escape text for use in XML element content and attributes
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Create URL-friendly slug
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+// Format date for display
+function formatDate(dateString) {
+  // Parse the date string as local date to avoid timezone shift
+  // Notion returns dates like "2025-12-26" which should be displayed as-is
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(year, month - 1, day); // month is 0-indexed
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+// Format date for post list (short format)
+function formatDateShort(dateString) {
+  // Parse the date string as local date to avoid timezone shift
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(year, month - 1, day); // month is 0-indexed
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+// Extract year from date string without timezone shift
+function getYear(dateString) {
+  return parseInt(dateString.split('-')[0], 10);
+}
+
+// Convert a Notion date ("2025-12-26" or full ISO timestamp) to a Date
+function toDate(dateString) {
+  return new Date(dateString.length === 10 ? `${dateString}T00:00:00Z` : dateString);
+}
+
+// Convert a fragment of rendered HTML to plain text
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Shorten text to at most `length` characters, breaking at a word
+function truncateText(text, length = DESCRIPTION_LENGTH) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+// Count the words in plain text
+function countWords(text) {
+  const words = text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu);
+  return words ? words.length : 0;
+}
+
+// Estimated minutes to read `wordCount` words (at least 1)
+function getReadingTime(wordCount) {
+  return Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE));
+}
+
+module.exports = {
+  escapeHtml,
+  escapeXml,
+  slugify,
+  formatDate,
+  formatDateShort,
+  getYear,
+  toDate,
+  htmlToText,
+  truncateText,
+  countWords,
+  getReadingTime
+};
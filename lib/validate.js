@@ -0,0 +1,264 @@
+// Offline checks on the generated site: every HTML page is read back and checked for broken
+// links, missing files, leftover signed Notion URLs, missing alt text, duplicate ids and
+// unbalanced tags. Each check reports as an error, a warning or not at all (config.validate).
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, config } = require('./config');
+const { SIGNED_URL_PATTERN } = require('./files');
+
+// Checks, in report order, with the label used for their issues
+const CHECKS = {
+  brokenLinks: 'broken link',
+  missingAssets: 'missing file',
+  signedUrls: 'signed S3 URL',
+  missingAlt: 'missing alt text',
+  duplicateIds: 'duplicate id',
+  malformedHtml: 'malformed HTML'
+};
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text (not parsed for tags)
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Attributes holding a URL the browser loads or navigates to
+const URL_ATTRIBUTES = ['href', 'src', 'poster'];
+
+// Markup tokens: comments, doctypes, and start/end tags with their attributes
+const TAG_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Decode the entities the renderers write into attribute values
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Parse a tag's attribute string into { name: value } (value is '' for bare attributes)
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(ATTRIBUTE_PATTERN)) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+// Split HTML into tags, skipping comments, doctypes and the content of raw text elements.
+// Returns [{ name, closing, selfClosing, attributes, index }].
+function tokenizeHtml(html) {
+  const tags = [];
+  TAG_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TAG_PATTERN.exec(html))) {
+    if (!match[2]) continue;
+    const name = match[2].toLowerCase();
+    const closing = match[1] === '/';
+    tags.push({ name, closing, selfClosing: match[4] === '/', attributes: parseAttributes(match[3]), index: match.index });
+    if (!closing && RAW_TEXT_ELEMENTS.has(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, TAG_PATTERN.lastIndex);
+      TAG_PATTERN.lastIndex = end === -1 ? html.length : end;
+    }
+  }
+  return tags;
+}
+
+// Percent-decoded #fragment (as written if it isn't valid)
+function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (err) {
+    return fragment;
+  }
+}
+
+// 1-based line number of a character offset
+function getLine(html, index) {
+  return html.slice(0, index).split('\n').length;
+}
+
+// Site-relative path a URL in `pagePath` points to, or null for external and non-file URLs.
+// URLs on the site's own domain count as local.
+function resolveLocalUrl(url, pagePath) {
+  if (url.startsWith(config.siteUrl)) url = url.slice(config.siteUrl.length) || '/';
+  if (/^[a-z][a-z0-9+.-]*:|^\/\//i.test(url)) return null;
+  const [target, fragment = null] = url.split('#');
+  let filePath = target.split('?')[0];
+  try {
+    filePath = decodeURI(filePath);
+  } catch (err) {
+    // Malformed escapes: check the path as written (it won't exist)
+  }
+  let resolved = filePath
+    ? path.posix.normalize(filePath.startsWith('/') ? filePath.slice(1) : path.posix.join(path.posix.dirname(pagePath), filePath))
+    : pagePath;
+  if (resolved === '.' || resolved.endsWith('/')) resolved = path.posix.join(resolved, 'index.html');
+  return { path: resolved, fragment };
+}
+
+// Check one page. `site.fileExists(relPath)` and `site.getIds(relPath)` (a Set, or null for
+// pages outside the crawl) answer questions about the rest of the site.
+// Returns issues as [{ check, line, message }].
+function checkPage(html, pagePath, site) {
+  const issues = [];
+  const report = (check, index, message) => issues.push({ check, line: getLine(html, index), message });
+  const tags = tokenizeHtml(html);
+
+  // Unbalanced tags, and whether an <img> sits inside a <figure>
+  const open = [];
+  tags.forEach(tag => {
+    if (VOID_ELEMENTS.has(tag.name) || tag.selfClosing) {
+      if (tag.closing && VOID_ELEMENTS.has(tag.name)) report('malformedHtml', tag.index, `</${tag.name}> (it has no closing tag)`);
+      tag.inFigure = open.some(openTag => openTag.name === 'figure');
+      return;
+    }
+    if (!tag.closing) {
+      open.push(tag);
+      return;
+    }
+    const depth = open.map(openTag => openTag.name).lastIndexOf(tag.name);
+    if (depth === -1) {
+      report('malformedHtml', tag.index, `</${tag.name}> without a matching <${tag.name}>`);
+      return;
+    }
+    open.splice(depth).slice(1).forEach(unclosed => {
+      report('malformedHtml', unclosed.index, `<${unclosed.name}> isn't closed before </${tag.name}>`);
+    });
+  });
+  open.forEach(unclosed => report('malformedHtml', unclosed.index, `<${unclosed.name}> is never closed`));
+
+  // Ids used more than once
+  const seenIds = new Set();
+  tags.filter(tag => !tag.closing && tag.attributes.id).forEach(tag => {
+    if (seenIds.has(tag.attributes.id)) report('duplicateIds', tag.index, `id="${tag.attributes.id}"`);
+    seenIds.add(tag.attributes.id);
+  });
+
+  // Content images (in a <figure>) need alt text; empty alt marks other images as decorative
+  tags.filter(tag => tag.name === 'img' && !tag.closing).forEach(tag => {
+    const { alt, src = '' } = tag.attributes;
+    if (alt === undefined || (tag.inFigure && !alt.trim())) report('missingAlt', tag.index, src);
+  });
+
+  // Local links, images, scripts and stylesheets
+  tags.filter(tag => !tag.closing).forEach(tag => {
+    URL_ATTRIBUTES.filter(name => tag.attributes[name]).forEach(name => {
+      const url = tag.attributes[name];
+      const target = resolveLocalUrl(url, pagePath);
+      if (!target) return;
+      const extension = path.posix.extname(target.path);
+      const isLink = tag.name === 'a' && (!extension || extension === '.html');
+      // Like GitHub Pages, "/thoughts/welcome" serves thoughts/welcome.html (or thoughts/welcome/index.html)
+      const candidates = extension ? [target.path] : [target.path, `${target.path}.html`, `${target.path}/index.html`];
+      const targetPath = candidates.find(site.fileExists);
+      if (!targetPath) {
+        report(isLink ? 'brokenLinks' : 'missingAssets', tag.index, url);
+        return;
+      }
+      const ids = target.fragment ? site.getIds(targetPath) : null;
+      if (ids && !ids.has(target.fragment) && !ids.has(decodeFragment(target.fragment))) {
+        report('brokenLinks', tag.index, `${url} (no element with id "${target.fragment}")`);
+      }
+    });
+  });
+
+  // Notion file URLs that will expire (a download that failed and fell back to the original)
+  for (const match of html.matchAll(SIGNED_URL_PATTERN)) {
+    report('signedUrls', match.index, match[0].split('?')[0]);
+  }
+
+  return issues;
+}
+
+// Ids on a page (used to check #fragment links)
+function getPageIds(html) {
+  return new Set(tokenizeHtml(html).filter(tag => !tag.closing && tag.attributes.id).map(tag => tag.attributes.id));
+}
+
+// Whether `filePath` is an existing file (not a folder)
+function isFile(filePath) {
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+}
+
+// HTML files that make up the site under `rootDir`: the hand-written pages and every
+// collection folder (posts, tag pages, redirects). Site-relative, sorted.
+function getSitePages(rootDir) {
+  const pages = (config.pages || []).filter(page => fs.existsSync(path.join(rootDir, page)));
+  const walk = (dir) => {
+    if (!fs.existsSync(path.join(rootDir, dir))) return;
+    fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true }).forEach(entry => {
+      const relPath = path.posix.join(dir, entry.name);
+      if (entry.isDirectory()) walk(relPath);
+      else if (entry.name.endsWith('.html')) pages.push(relPath);
+    });
+  };
+  config.collections.forEach(collection => walk(collection.outputDir));
+  return [...new Set(pages)].sort();
+}
+
+// Severity of each check ('error', 'warn' or 'off'), from config.validate
+function getCheckLevels(overrides = {}) {
+  return { ...config.validate, ...overrides };
+}
+
+// Validate every page under `rootDir`. Returns { pages: [{ file, issues }], errors, warnings },
+// listing only pages with issues; each issue has { check, level, line, message }.
+function validateSite(rootDir = ROOT_DIR, levels = getCheckLevels()) {
+  const files = getSitePages(rootDir);
+  const html = new Map(files.map(file => [file, fs.readFileSync(path.join(rootDir, file), 'utf8')]));
+  const ids = new Map();
+  const site = {
+    fileExists: relPath => html.has(relPath) || isFile(path.join(rootDir, relPath)),
+    getIds: relPath => {
+      if (!html.has(relPath)) return null;
+      if (!ids.has(relPath)) ids.set(relPath, getPageIds(html.get(relPath)));
+      return ids.get(relPath);
+    }
+  };
+
+  const checkOrder = Object.keys(CHECKS);
+  const pages = files
+    .map(file => ({
+      file,
+      issues: checkPage(html.get(file), file, site)
+        .filter(issue => levels[issue.check] && levels[issue.check] !== 'off')
+        .map(issue => ({ ...issue, level: levels[issue.check] }))
+        .sort((a, b) => checkOrder.indexOf(a.check) - checkOrder.indexOf(b.check) || a.line - b.line)
+    }))
+    .filter(page => page.issues.length > 0);
+  const count = level => pages.reduce((sum, page) => sum + page.issues.filter(issue => issue.level === level).length, 0);
+  return { checked: files.length, pages, errors: count('error'), warnings: count('warn') };
+}
+
+// Print the per-page report
+function printValidationReport(report) {
+  report.pages.forEach(page => {
+    console.log(`  ${page.file}`);
+    page.issues.forEach(issue => {
+      const icon = issue.level === 'error' ? '❌' : '⚠️ ';
+      console.log(`    ${icon} ${CHECKS[issue.check]} (line ${issue.line}): ${issue.message}`);
+    });
+  });
+  const summary = `${report.errors} error(s), ${report.warnings} warning(s) in ${report.checked} page(s)`;
+  if (report.errors > 0) console.log(`❌ Validation failed: ${summary}`);
+  else console.log(`✅ Validation passed: ${summary}`);
+}
+
+module.exports = {
+  CHECKS,
+  tokenizeHtml,
+  checkPage,
+  getSitePages,
+  getCheckLevels,
+  validateSite,
+  printValidationReport
+};
@@ -50,19 +50,169 @@
 document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     anchor.addEventListener('click', function (e) {
         e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
+        const hash = this.getAttribute('href');
+        const target = hash.length > 1 && document.getElementById(decodeURIComponent(hash.slice(1)));
         if (target) {
             target.scrollIntoView({
                 behavior: 'smooth',
                 block: 'start'
             });
+            // Keep the hash in the URL so heading permalinks can be copied and shared
+            history.pushState(null, '', hash);
         }
     });
 });
 
-// Add active state to navigation based on scroll position
+// Copy-to-clipboard buttons on code blocks (left hidden without JavaScript or clipboard access)
+if (navigator.clipboard) {
+    document.querySelectorAll('.code-copy').forEach(button => {
+        button.hidden = false;
+        button.addEventListener('click', () => {
+            const code = button.parentElement.querySelector('code');
+            navigator.clipboard.writeText(code.textContent).then(() => {
+                button.textContent = 'Copied';
+                setTimeout(() => {
+                    button.textContent = 'Copy';
+                }, 2000);
+            });
+        });
+    });
+}
+
+// Full-text search on collection indexes. The search box stays hidden without JavaScript,
+// so the full post list below it still works as the fallback.
+(function() {
+    const form = document.querySelector('.post-search');
+    if (!form || !window.fetch) return;
+
+    const input = form.querySelector('.post-search-input');
+    const section = form.parentElement;
+    const status = section.querySelector('.search-status');
+    const results = section.querySelector('.search-results');
+    let index = null;
+
+    // Search index, fetched the first time it's needed. Resolves with null if it can't be
+    // loaded (after saying so); the next search tries again.
+    function loadIndex() {
+        if (!index) {
+            index = fetch(form.dataset.index)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.posts)
+                .catch(() => {
+                    index = null;
+                    status.hidden = false;
+                    status.textContent = 'Search is unavailable right now.';
+                    return null;
+                });
+        }
+        return index;
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+
+    // Escape text and wrap every match of `pattern` in <mark>
+    function highlight(text, pattern) {
+        return text.split(pattern)
+            .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+            .join('');
+    }
+
+    // Text around the first match in the post body (or its opening if only the title matched)
+    function getSnippet(text, terms) {
+        const lower = text.toLowerCase();
+        const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+        const start = Number.isFinite(first) ? Math.max(0, first - 60) : 0;
+        const end = Math.min(text.length, start + 180);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    // Posts containing every term, ranked by where the terms appear (title, tags, headings, body)
+    function search(posts, terms) {
+        return posts
+            .map(post => {
+                const fields = [
+                    [post.title, 10],
+                    [post.tags.join(' '), 5],
+                    [post.headings.join(' '), 3],
+                    [post.text, 1]
+                ].map(([text, weight]) => [text.toLowerCase(), weight]);
+                let score = 0;
+                for (const term of terms) {
+                    const termScore = fields.reduce((sum, [text, weight]) => sum + (text.includes(term) ? weight : 0), 0);
+                    if (termScore === 0) return null;
+                    score += termScore;
+                }
+                return { post, score };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || b.post.date.localeCompare(a.post.date))
+            .map(result => result.post);
+    }
+
+    function formatDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    function showResults(posts, terms) {
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        results.innerHTML = posts.map(post => `<li class="post-list-item search-result">
+            <time class="post-date" datetime="${post.date}">${formatDate(post.date)}</time>
+            <div class="post-list-body">
+                <a href="${post.url}" class="post-list-link">${highlight(post.title, pattern)}</a>
+                <p class="search-snippet">${highlight(getSnippet(post.text, terms), pattern)}</p>
+            </div>
+        </li>`).join('');
+        status.textContent = `${posts.length} post${posts.length === 1 ? '' : 's'} found`;
+    }
+
+    function update() {
+        const terms = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const searching = terms.length > 0;
+        section.classList.toggle('searching', searching);
+        status.hidden = !searching;
+        results.hidden = !searching;
+        if (!searching) return;
+
+        loadIndex().then(posts => {
+            // Ignore results for a query that has since changed (or an index that failed to load)
+            if (!posts || input.value.toLowerCase().split(/\s+/).filter(Boolean).join(' ') !== terms.join(' ')) return;
+            showResults(search(posts, terms), terms);
+        });
+    }
+
+    form.hidden = false;
+    form.addEventListener('submit', e => e.preventDefault());
+    input.addEventListener('focus', loadIndex);
+    input.addEventListener('input', update);
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            input.value = '';
+            update();
+            input.blur();
+        }
+    });
+
+    // "/" jumps to the search box (unless already typing somewhere)
+    document.addEventListener('keydown', e => {
+        const target = e.target;
+        const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (e.key === '/' && !typing && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            input.focus();
+        }
+    });
+})();
+
+// Add active state to in-page navigation links based on scroll position
+// (links to other pages get their active state at build time)
 const sections = document.querySelectorAll('section[id]');
-const navLinks = document.querySelectorAll('.nav-link');
+const navLinks = document.querySelectorAll('.nav-link[href^="#"]');
 
 function updateActiveNav() {
     let current = '';
@@ -0,0 +1,128 @@
+// Site configuration for fetch-notion.js
+//
+// Each collection is a Notion database that gets built into its own folder of
+// the site. To add a new section, add an entry to `collections` and share the
+// database with the Notion integration.
+
+// Default Notion filter: only pages with Status = Published
+const publishedFilter = {
+  property: 'Status',
+  select: {
+    equals: 'Published'
+  }
+};
+
+// Pages that `npm run preview` also renders (marked as drafts)
+const draftFilter = {
+  property: 'Status',
+  select: {
+    equals: 'Draft'
+  }
+};
+
+module.exports = {
+  siteUrl: 'https://trankhiet.com',
+  author: 'Khiet Tran',
+
+  // Renderer plugins (paths relative to the repo root). Each file exports a
+  // function that receives the renderer registry, e.g.:
+  //
+  //   module.exports = (registry) => {
+  //     const callout = registry.getBlockRenderer('callout');
+  //     registry.registerBlockRenderer('callout', async (block, ctx) =>
+  //       `<aside>${await callout(block, ctx)}</aside>`);
+  //   };
+  //
+  // Block renderers get (block, ctx) where ctx has slug, collection, richText(),
+  // renderChildren(), renderBlocks(), fetchChildren(), downloadImage() and resolveFile().
+  // Mention, annotation and rich text renderers can be registered the same way.
+  plugins: [],
+
+  // Hand-written pages listed in sitemap.xml (paths are relative to the site root)
+  pages: ['index.html', 'contact.html'],
+
+  // Files copied as they are into dist/ by `npm run build` (add CNAME when
+  // publishing to a custom domain from the gh-pages branch)
+  static: ['styles.css', 'script.js', 'favicon.svg'],
+
+  // Where `npm run publish:pages` pushes dist/ (defaults shown)
+  publish: {
+    branch: 'gh-pages',
+    remote: 'origin'
+  },
+
+  // Header navigation (paths are relative to the site root)
+  nav: [
+    { label: 'Home', href: 'index.html' },
+    { label: 'Thoughts', href: 'thoughts/index.html' },
+    { label: 'Contact', href: 'contact.html' }
+  ],
+
+  // Checks on the generated site (npm run validate, and before --push or a workflow commit):
+  // 'error' fails validation, 'warn' only reports, 'off' skips. Defaults shown,
+  // except missingAssets.
+  validate: {
+    brokenLinks: 'error', // links to pages or #ids that don't exist
+    // Images, files and stylesheets that don't exist. Only a warning here: photos in
+    // reflecting-on-2025-looking-towards-2026 were never committed and can only come back from Notion.
+    missingAssets: 'warn',
+    signedUrls: 'error', // expiring Notion S3 URLs (a download that failed)
+    missingAlt: 'warn', // post images without alt text
+    duplicateIds: 'error',
+    malformedHtml: 'error' // unclosed or stray tags
+  },
+
+  collections: [
+    {
+      name: 'Thoughts',
+      databaseId: '2d616761a428807b9bbfc15737e61581',
+      // Map our fields to Notion property names
+      properties: {
+        title: 'Title',
+        date: 'Published Date',
+        tags: 'Tags',
+        // Optional rich text used as the meta description (defaults to the first paragraph)
+        summary: 'Summary',
+        // Optional rich text that overrides the title-derived URL slug
+        slug: 'Slug'
+      },
+      filter: publishedFilter,
+      draftFilter,
+      sorts: [
+        {
+          property: 'Published Date',
+          direction: 'descending'
+        }
+      ],
+      outputDir: 'thoughts',
+      urlPrefix: '/thoughts/',
+      // 'years' groups posts by year, 'list' is a single flat list, 'cards' shows
+      // each post's cover, reading time and excerpt, or pass a function (posts, collection, config, { basePath }) => html.
+      // The same layout is used for the tag pages under <outputDir>/tags/.
+      indexTemplate: 'years',
+      feeds: true,
+      // Keep a table of contents beside long posts on wide screens
+      stickyToc: true,
+      // Full-text search box on the index (writes <outputDir>/search.json)
+      search: true,
+      // Related posts (by shared tags, then similar text) under each post; 0 turns them off
+      relatedPosts: 3,
+      // Code blocks: line numbers and a copy-to-clipboard button
+      codeLineNumbers: false,
+      codeCopyButton: true
+    }
+
+    // Example of another section:
+    // {
+    //   name: 'Reading List',
+    //   databaseId: '<notion database id>',
+    //   properties: { title: 'Name', date: 'Finished' },
+    //   filter: { property: 'Status', select: { equals: 'Read' } },
+    //   sorts: [{ property: 'Finished', direction: 'descending' }],
+    //   outputDir: 'reading',
+    //   urlPrefix: '/reading/',
+    //   indexTemplate: 'list',
+    //   feeds: false
+    // }
+  ]
+};
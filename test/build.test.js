@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('../lib/cli');
+const { swapDirectory, publishSite } = require('../lib/build');
+
+const git = (cwd, args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+
+test('parseArgs reads the build and publish commands', () => {
+  assert.strictEqual(parseArgs(['build']).command, 'build');
+  assert.strictEqual(parseArgs(['publish', '--branch', 'site']).branch, 'site');
+  assert.throws(() => parseArgs(['build', '--branch', 'site']), /--branch only works with publish/);
+});
+
+test('swapDirectory replaces the target and removes the previous build', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-test-'));
+  const distDir = path.join(rootDir, 'dist');
+  const stagingDir = path.join(rootDir, 'dist-new');
+  try {
+    fs.mkdirSync(distDir);
+    fs.writeFileSync(path.join(distDir, 'old.html'), 'old');
+    fs.mkdirSync(stagingDir);
+    fs.writeFileSync(path.join(stagingDir, 'new.html'), 'new');
+
+    swapDirectory(stagingDir, distDir);
+    assert.deepStrictEqual(fs.readdirSync(distDir), ['new.html']);
+    assert.deepStrictEqual(fs.readdirSync(rootDir), ['dist']);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('publishSite commits dist/ to the branch without touching the working tree', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-test-'));
+  const remoteDir = path.join(rootDir, 'remote.git');
+  const repoDir = path.join(rootDir, 'repo');
+  const distDir = path.join(repoDir, 'dist');
+  const publish = { branch: 'gh-pages', remote: 'origin' };
+  const log = console.log;
+  console.log = () => {};
+  try {
+    git(rootDir, ['init', '--quiet', '--bare', remoteDir]);
+    git(rootDir, ['init', '--quiet', repoDir]);
+    git(repoDir, ['config', 'user.name', 'Test']);
+    git(repoDir, ['config', 'user.email', 'test@example.com']);
+    git(repoDir, ['remote', 'add', 'origin', remoteDir]);
+    fs.mkdirSync(path.join(distDir, 'thoughts'), { recursive: true });
+    fs.writeFileSync(path.join(distDir, 'index.html'), 'home');
+    fs.writeFileSync(path.join(distDir, 'thoughts', '.notion-manifest.json'), '{}');
+
+    assert.strictEqual(publishSite(distDir, publish, repoDir), true);
+    assert.strictEqual(publishSite(distDir, publish, repoDir), false);
+    fs.writeFileSync(path.join(distDir, 'index.html'), 'home, updated');
+    assert.strictEqual(publishSite(distDir, publish, repoDir), true);
+
+    assert.strictEqual(git(remoteDir, ['rev-list', '--count', 'gh-pages']), '2');
+    assert.deepStrictEqual(git(remoteDir, ['ls-tree', '-r', '--name-only', 'gh-pages']).split('\n'), ['index.html', 'thoughts/.notion-manifest.json']);
+    assert.strictEqual(git(remoteDir, ['show', 'gh-pages:index.html']), 'home, updated');
+    // The working repo has no commits and nothing staged
+    assert.strictEqual(git(repoDir, ['status', '--porcelain']), '?? dist/');
+  } finally {
+    console.log = log;
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+test('loadConfig throws for a broken site.config.js instead of exiting', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  try {
+    const missingKey = path.join(dir, 'missing-key.config.js');
+    fs.writeFileSync(missingKey, "module.exports = { collections: [{ name: 'Thoughts', outputDir: 'thoughts' }] };\n");
+    assert.throws(() => loadConfig(missingKey), /Thoughts in missing-key\.config\.js is missing "databaseId"/);
+
+    const unparsable = path.join(dir, 'unparsable.config.js');
+    fs.writeFileSync(unparsable, 'module.exports = {\n');
+    assert.throws(() => loadConfig(unparsable), /Could not load unparsable\.config\.js/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('../lib/cli');
+const { createUnifiedDiff } = require('../lib/diff');
+const { DRY_RUN_EXIT, getDryRunExitCode, getGeneratedPaths, compareSites, getChangeGroup } = require('../lib/dryrun');
+
+// Write { relPath: content } into a new temporary folder
+function createSiteDir(files) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, file), content);
+  });
+  return rootDir;
+}
+
+test('parseArgs reads --dry-run and --diff', () => {
+  assert.deepStrictEqual(
+    (({ dryRun, diff }) => ({ dryRun, diff }))(parseArgs(['--dry-run', '--diff'])),
+    { dryRun: true, diff: true }
+  );
+  assert.strictEqual(parseArgs([]).dryRun, false);
+  assert.throws(() => parseArgs(['--diff']), /--diff only works with --dry-run/);
+  assert.throws(() => parseArgs(['--dry-run', '--push']), /--dry-run only works with sync/);
+  assert.throws(() => parseArgs(['preview', '--dry-run']), /--dry-run only works with sync/);
+});
+
+test('getGeneratedPaths lists the generated site paths that exist', () => {
+  const rootDir = createSiteDir({ 'thoughts/post.html': 'post', 'index.html': 'home', 'package-lock.json': '{}' });
+  try {
+    assert.deepStrictEqual(getGeneratedPaths(rootDir), ['thoughts', 'index.html']);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
+
+test('compareSites lists added, changed and deleted files', () => {
+  const before = createSiteDir({
+    'thoughts/old.html': 'old',
+    'thoughts/same.html': 'same',
+    'thoughts/edited.html': 'v1',
+    'thoughts/images/a.png': 'a'
+  });
+  const after = createSiteDir({
+    'thoughts/same.html': 'same',
+    'thoughts/edited.html': 'v2',
+    'thoughts/images/a.png': 'a',
+    'thoughts/images/b.png': 'b',
+    'sitemap.xml': '<urlset/>'
+  });
+
+  try {
+    assert.deepStrictEqual(compareSites(before, after, ['thoughts', 'sitemap.xml']), [
+      { file: 'sitemap.xml', status: 'added' },
+      { file: 'thoughts/edited.html', status: 'changed' },
+      { file: 'thoughts/images/b.png', status: 'added' },
+      { file: 'thoughts/old.html', status: 'deleted' }
+    ]);
+  } finally {
+    fs.rmSync(before, { recursive: true, force: true });
+    fs.rmSync(after, { recursive: true, force: true });
+  }
+});
+
+test('getChangeGroup separates posts, images and other files', () => {
+  assert.strictEqual(getChangeGroup('thoughts/welcome.html'), 'posts');
+  assert.strictEqual(getChangeGroup('thoughts/welcome.md'), 'posts');
+  assert.strictEqual(getChangeGroup('thoughts/images/a.png'), 'images');
+  assert.strictEqual(getChangeGroup('thoughts/assets/doc.pdf'), 'images');
+  assert.strictEqual(getChangeGroup('thoughts/index.html'), 'other');
+  assert.strictEqual(getChangeGroup('thoughts/tags/life.html'), 'other');
+  assert.strictEqual(getChangeGroup('sitemap.xml'), 'other');
+});
+
+test('getDryRunExitCode fails a dry run with posts that failed to render or download', () => {
+  const changes = [{ file: 'thoughts/post.html', status: 'changed' }];
+  const failure = { collection: 'Thoughts', title: 'Post' };
+  assert.strictEqual(getDryRunExitCode({ changes: [], failures: [], downloadFailures: [] }), DRY_RUN_EXIT.unchanged);
+  assert.strictEqual(getDryRunExitCode({ changes, failures: [], downloadFailures: [] }), DRY_RUN_EXIT.changed);
+  assert.strictEqual(getDryRunExitCode({ changes, failures: [{ ...failure, error: 'timeout' }], downloadFailures: [] }), DRY_RUN_EXIT.error);
+  assert.strictEqual(getDryRunExitCode({ changes, failures: [], downloadFailures: [failure] }), DRY_RUN_EXIT.error);
+});
+
+test('createUnifiedDiff prints hunks with context and line numbers', () => {
+  const lines = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`);
+  const edited = [...lines];
+  edited[1] = 'line two';
+  edited.splice(10, 1);
+
+  assert.strictEqual(createUnifiedDiff(lines.join('\n'), edited.join('\n'), { fromFile: 'a/x', toFile: 'b/x' }), [
+    '--- a/x',
+    '+++ b/x',
+    '@@ -1,5 +1,5 @@',
+    ' line 1',
+    '-line 2',
+    '+line two',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '@@ -8,5 +8,4 @@',
+    ' line 8',
+    ' line 9',
+    ' line 10',
+    '-line 11',
+    ' line 12',
+    ''
+  ].join('\n'));
+  assert.strictEqual(createUnifiedDiff('same\n', 'same\n'), '');
+  assert.strictEqual(createUnifiedDiff('', 'new\n'), '--- a\n+++ b\n@@ -0,0 +1 @@\n+new\n');
+});
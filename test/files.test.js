@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { PassThrough, EventEmitter } = require('stream');
+const { hasSignedUrl, downloadFile, removePartialDownloads } = require('../lib/files');
+
+// Replace https.get for one test: `respond(url, response, callback, request)` plays the server's part
+async function withFakeHttps(respond, fn) {
+  const get = https.get;
+  https.get = (url, callback) => {
+    const request = Object.assign(new EventEmitter(), {
+      setTimeout: (ms, onTimeout) => request.once('timeout', onTimeout),
+      destroy: () => {}
+    });
+    const response = Object.assign(new PassThrough(), { statusCode: 200, headers: {}, complete: false });
+    setImmediate(() => respond(String(url), response, callback, request));
+    return request;
+  };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'files-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    https.get = get;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('hasSignedUrl finds signed Notion URLs left by a failed download', () => {
+  const signed = 'https://prod-files-secure.s3.us-west-2.amazonaws.com/ws/pic.png?X-Amz-Algorithm=AWS4&X-Amz-Signature=abc';
+  assert.ok(hasSignedUrl(`<figure><img src="${signed}" alt=""></figure>`));
+  assert.ok(hasSignedUrl(`![](${signed.replace('&', '&amp;')})`));
+  assert.ok(!hasSignedUrl('<img src="images/pic-0123456789ab.png" alt="">'));
+  assert.ok(!hasSignedUrl('<img src="https://example.com/pic.png" alt="">'));
+});
+
+test('downloadFile names the file from the Content-Type once it has fully arrived', async () => {
+  await withFakeHttps((url, response, callback) => {
+    response.headers['content-type'] = 'image/jpeg';
+    callback(response);
+    response.complete = true;
+    response.end('jpeg data');
+  }, async (dir) => {
+    assert.strictEqual(await downloadFile('https://example.com/pic', dir, 'pic-abc', '.png'), 'pic-abc.jpg');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['pic-abc.jpg']);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'pic-abc.jpg'), 'utf8'), 'jpeg data');
+  });
+});
+
+test('downloadFile leaves nothing behind when the connection drops', async () => {
+  await withFakeHttps((url, response, callback) => {
+    response.headers['content-type'] = 'image/png';
+    callback(response);
+    response.write('partial');
+    response.emit('aborted');
+  }, async (dir) => {
+    await assert.rejects(downloadFile('https://example.com/pic.png', dir, 'pic-abc', '.png'), /connection closed/);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+});
+
+test('downloadFile gives up on a stalled download', async () => {
+  await withFakeHttps((url, response, callback, request) => {
+    response.headers['content-type'] = 'image/png';
+    callback(response);
+    response.write('partial');
+    request.emit('timeout');
+  }, async (dir) => {
+    await assert.rejects(downloadFile('https://example.com/pic.png', dir, 'pic-abc', '.png'), /timed out/);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+});
+
+test('downloadFile gives up on redirect loops', async () => {
+  let requests = 0;
+  await withFakeHttps((url, response, callback) => {
+    requests++;
+    response.statusCode = 302;
+    response.headers.location = url;
+    callback(response);
+  }, async (dir) => {
+    await assert.rejects(downloadFile('https://example.com/loop', dir, 'loop', '.bin'), /too many redirects/);
+    assert.strictEqual(requests, 6);
+  });
+});
+
+test('removePartialDownloads deletes only leftover .download files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'files-test-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'post'));
+    ['pic-abc.png', '.pic-def.png.download', 'post/.doc-123.pdf.download', '.gitkeep']
+      .forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+    assert.deepStrictEqual(removePartialDownloads(dir), ['.pic-def.png.download', 'post/.doc-123.pdf.download']);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['.gitkeep', 'pic-abc.png', 'post']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'post')), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
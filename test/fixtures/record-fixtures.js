@@ -0,0 +1,208 @@
+// Rebuilds notion.json by recording a small in-memory Notion workspace through the
+// same queries a sync makes. Edit the blocks below, then run:
+//   node test/fixtures/record-fixtures.js && npm run test:update
+
+const path = require('path');
+const { createRecordingSource, fetchPosts, fetchPageContent, fetchBlockChildren } = require('../../lib/notion');
+const { collection } = require('../helpers');
+
+const ann = (o = {}) => ({ bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default', ...o });
+const rt = (t, o = {}) => ({ type: 'text', text: { content: t, link: o.href ? { url: o.href } : null }, annotations: ann(o.annotations), plain_text: t, href: o.href || null });
+const mention = (m, plain) => ({ type: 'mention', mention: m, annotations: ann(), plain_text: plain, href: null });
+const eq = (e) => ({ type: 'equation', equation: { expression: e }, annotations: ann(), plain_text: e, href: null });
+const s3 = (name) => ({ type: 'file', file: { url: `https://prod-files-secure.s3.us-west-2.amazonaws.com/ws-id/${name}?X-Amz-Signature=fixture`, expiry_time: '2026-01-06T11:00:00.000Z' } });
+const ext = (url) => ({ type: 'external', external: { url } });
+let n = 0;
+const b = (type, data, children) => ({
+  object: 'block', id: `${type.replace(/_/g, '-')}-${++n}`, type, has_children: Boolean(children), __children: children,
+  created_time: '2026-01-05T10:00:00.000Z', last_edited_time: '2026-01-05T10:00:00.000Z', archived: false, [type]: data
+});
+const p = (...texts) => b('paragraph', { rich_text: texts, color: 'default' });
+
+const syncedOriginal = b('synced_block', { synced_from: null }, [p(rt('Shared across pages.'))]);
+
+const cases = {
+  'rich-text': [
+    p(rt('Plain text with a\nline break and <html> & "quotes".')),
+    p(rt('bold', { annotations: { bold: true } }), rt(' '), rt('italic', { annotations: { italic: true } }), rt(' '),
+      rt('struck', { annotations: { strikethrough: true } }), rt(' '), rt('underlined', { annotations: { underline: true } }), rt(' '),
+      rt('code()', { annotations: { code: true } }), rt(' '), rt('red', { annotations: { color: 'red' } }), rt(' '),
+      rt('all', { annotations: { bold: true, italic: true, color: 'blue_background' } })),
+    p(rt('An '), rt('external link', { href: 'https://example.com/?a=1&b=2' }), rt(' and a '), rt('relative link', { href: '/thoughts/' }), rt('.')),
+    p(mention({ type: 'date', date: { start: '2026-01-05', end: null } }, '2026-01-05'), rt(' to '),
+      mention({ type: 'date', date: { start: '2026-01-05', end: '2026-01-07' } }, '2026-01-05 → 2026-01-07'), rt(', '),
+      mention({ type: 'user', user: { object: 'user', id: 'user-1' } }, 'Khiet Tran'), rt(', '),
+      mention({ type: 'page', page: { id: 'page-2' } }, 'Second Post'), rt(', '),
+      mention({ type: 'database', database: { id: 'db-1' } }, 'Reading List')),
+    p(rt('Inline math '), eq('a^2 + b^2 = "c"^2'), rt('.')),
+    p()
+  ],
+  headings: [
+    b('heading_1', { rich_text: [rt('Heading one')], is_toggleable: false, color: 'default' }),
+    b('heading_2', { rich_text: [rt('Heading '), rt('two', { annotations: { italic: true } })], is_toggleable: false, color: 'default' }),
+    b('heading_3', { rich_text: [rt('Heading three')], is_toggleable: false, color: 'default' }),
+    b('heading_2', { rich_text: [rt('Toggleable heading')], is_toggleable: true, color: 'default' }, [p(rt('Hidden under the heading.'))])
+  ],
+  lists: [
+    b('bulleted_list_item', { rich_text: [rt('First bullet')], color: 'default' }),
+    b('bulleted_list_item', { rich_text: [rt('Second bullet')], color: 'default' }, [
+      b('bulleted_list_item', { rich_text: [rt('Nested bullet')], color: 'default' })
+    ]),
+    b('numbered_list_item', { rich_text: [rt('Step one')], color: 'default' }),
+    b('numbered_list_item', { rich_text: [rt('Step two')], color: 'default' }, [p(rt('Details for step two.'))]),
+    p(rt('Between lists.')),
+    b('numbered_list_item', { rich_text: [rt('A new list')], color: 'default' }),
+    b('to_do', { rich_text: [rt('Done')], checked: true, color: 'default' }),
+    b('to_do', { rich_text: [rt('Not done')], checked: false, color: 'default' }, [p(rt('Sub-task notes.'))])
+  ],
+  quote: [
+    b('quote', { rich_text: [rt('A quote.')], color: 'default' }),
+    b('quote', { rich_text: [rt('A quote with children.')], color: 'default' }, [p(rt('Nested paragraph.'))])
+  ],
+  code: [
+    b('code', { rich_text: [rt('const greet = (name) => `<b>${name}</b>`;\nconsole.log(greet("world"));')], caption: [rt('greet.js')], language: 'javascript' }),
+    b('code', { rich_text: [rt('plain text')], caption: [], language: '' }),
+    b('code', { rich_text: [rt('/* a comment\n   over two lines */\nint main() { return 0; }\n')], caption: [], language: 'c++' }),
+    b('code', { rich_text: [rt('graph TD; A-->B')], caption: [], language: 'mermaid' })
+  ],
+  callout: [
+    b('callout', { rich_text: [rt('Emoji callout')], icon: { type: 'emoji', emoji: '💡' }, color: 'gray_background' }, [p(rt('Callout child.'))]),
+    b('callout', { rich_text: [rt('File icon callout')], icon: s3('icon.svg'), color: 'blue_background' }),
+    b('callout', { rich_text: [rt('External icon callout')], icon: ext('https://example.com/icon.png'), color: 'default' }),
+    b('divider', {}),
+    b('callout', { rich_text: [rt('No icon')], icon: null, color: 'default' })
+  ],
+  media: [
+    b('image', { ...s3('photo.png'), caption: [rt('A photo')] }),
+    b('image', { ...ext('https://example.com/diagram.jpg'), caption: [] }),
+    b('video', { ...ext('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1'), caption: [] }),
+    b('video', { ...ext('https://vimeo.com/76979871'), caption: [] }),
+    b('video', { ...s3('clip.mp4'), caption: [] }),
+    b('audio', { ...s3('song.mp3'), caption: [] }),
+    b('file', { ...s3('report.pdf'), name: 'report.pdf', caption: [] }),
+    b('file', { ...ext('https://example.com/files/data.csv'), caption: [rt('The data')] }),
+    b('pdf', { ...ext('https://example.com/paper.pdf'), caption: [] }),
+    b('pdf', { ...s3('slides.pdf'), caption: [rt('Slides')] }),
+    b('embed', { url: 'https://codepen.io/pen/abc', caption: [] }),
+    b('bookmark', { url: 'https://example.com/article', caption: [rt('An article')] }),
+    b('bookmark', { url: 'https://example.com/bare', caption: [] }),
+    b('link_preview', { url: 'https://github.com/example/repo/pull/1' })
+  ],
+  toggle: [
+    b('toggle', { rich_text: [rt('Outer toggle')], color: 'default' }, [
+      p(rt('Inside the toggle.')),
+      b('toggle', { rich_text: [rt('Inner toggle')], color: 'default' }, [p(rt('Deeper.'))])
+    ])
+  ],
+  table: [
+    b('table', { table_width: 3, has_column_header: true, has_row_header: true }, [
+      b('table_row', { cells: [[rt('')], [rt('Plan')], [rt('Price')]] }),
+      b('table_row', { cells: [[rt('Basic')], [rt('1 site')], [rt('$5', { annotations: { bold: true } })]] }),
+      b('table_row', { cells: [[rt('Pro')], [rt('10 sites'), rt(' + support')], []] })
+    ]),
+    b('table', { table_width: 2, has_column_header: false, has_row_header: false }, [
+      b('table_row', { cells: [[rt('a')], [rt('b')]] })
+    ])
+  ],
+  columns: [
+    b('column_list', {}, [
+      b('column', {}, [p(rt('Left column.')), b('bulleted_list_item', { rich_text: [rt('Left item')], color: 'default' })]),
+      b('column', {}, [b('image', { ...ext('https://example.com/right.png'), caption: [rt('Right image')] })])
+    ])
+  ],
+  'synced-block': [
+    syncedOriginal,
+    b('synced_block', { synced_from: { type: 'block_id', block_id: syncedOriginal.id } })
+  ],
+  equation: [
+    b('equation', { expression: 'E = mc^2' }),
+    b('equation', { expression: '\\text{say "hi"} < x' }),
+    b('equation', { expression: '\\frac{1}{' })
+  ],
+  'table-of-contents': [
+    b('table_of_contents', { color: 'default' }),
+    b('heading_1', { rich_text: [rt('Overview')], is_toggleable: false, color: 'default' }),
+    b('heading_2', { rich_text: [rt('Details & notes')], is_toggleable: false, color: 'default' }),
+    b('toggle', { rich_text: [rt('More')], color: 'default' }, [
+      b('heading_3', { rich_text: [rt('Inside a toggle')], is_toggleable: false, color: 'default' })
+    ]),
+    b('column_list', {}, [
+      b('column', {}, [b('heading_2', { rich_text: [rt('Overview')], is_toggleable: false, color: 'default' })]),
+      b('column', {}, [b('heading_3', { rich_text: [rt('In a column')], is_toggleable: false, color: 'default' })])
+    ]),
+    b('heading_3', { rich_text: [rt('🚀')], is_toggleable: false, color: 'default' }),
+    b('heading_1', { rich_text: [rt('Overview')], is_toggleable: true, color: 'default' }, [
+      b('heading_2', { rich_text: [rt('Nested in a toggleable heading')], is_toggleable: false, color: 'default' })
+    ])
+  ],
+  links: [
+    p(rt('See '), mention({ type: 'page', page: { id: 'page-2' } }, 'Second Post'), rt(', '),
+      mention({ type: 'page', page: { id: 'private-page' } }, 'Private <notes>'), rt('.')),
+    { ...b('child_page', { title: 'Looking Back' }), id: 'page-3' }
+  ],
+  skipped: [
+    b('breadcrumb', {}),
+    b('child_page', { title: 'A sub page' }),
+    b('child_database', { title: 'A database' }),
+    p(rt('Only this paragraph renders.')),
+    b('unsupported', {})
+  ]
+};
+
+const page = (id, title, date, edited, tags, summary) => ({
+  object: 'page', id, created_time: edited, last_edited_time: edited, archived: false,
+  cover: null, icon: null, url: `https://www.notion.so/${id}`,
+  properties: {
+    Title: { id: 'title', type: 'title', title: [rt(title)] },
+    'Published Date': { id: 'date', type: 'date', date: { start: date, end: null } },
+    Status: { id: 'status', type: 'select', select: { name: 'Published' } },
+    Tags: { id: 'tags', type: 'multi_select', multi_select: tags.map(name => ({ name })) },
+    Summary: { id: 'summary', type: 'rich_text', rich_text: summary ? [rt(summary)] : [] },
+    Slug: { id: 'slug', type: 'rich_text', rich_text: [] }
+  }
+});
+const pages = [
+  page('page-1', 'Hello World', '2026-01-05', '2026-01-06T10:00:00.000Z', ['Life', 'Systems'], 'The first post.'),
+  page('page-2', 'Second Post', '2025-12-30', '2025-12-31T10:00:00.000Z', ['Web'], null),
+  page('page-3', 'Looking Back', '2025-06-01', '2025-06-02T10:00:00.000Z', [], null)
+];
+const postBlocks = {
+  'page-1': [b('heading_2', { rich_text: [rt('Intro')], is_toggleable: false, color: 'default' }), p(rt('Welcome to the site.')), b('image', { ...s3('hello.png'), caption: [rt('Hello')] })],
+  'page-2': [p(rt('Short and sweet.'))],
+  'page-3': [p(rt('A look back at the year.'))]
+};
+
+// Index every block's children
+const children = new Map(Object.entries(cases).map(([name, blocks]) => [`case-${name}`, blocks]));
+Object.entries(postBlocks).forEach(([id, blocks]) => children.set(id, blocks));
+const walk = (blocks) => blocks.forEach(block => {
+  if (block.__children) { children.set(block.id, block.__children); walk(block.__children); }
+});
+[...children.values()].forEach(walk);
+const clean = (block) => { const { __children, ...rest } = block; return rest; };
+
+// Fake source: pages of 2 (so pagination is exercised), blocks in pages of 4
+const paginate = (items, cursor, size) => {
+  const start = Number(cursor || 0);
+  const more = start + size < items.length;
+  return { object: 'list', results: items.slice(start, start + size), has_more: more, next_cursor: more ? String(start + size) : null };
+};
+const fake = {
+  queryDatabase: async (args) => paginate(pages, args.start_cursor, Math.min(args.page_size, 2)),
+  listBlockChildren: async (args) => {
+    const blocks = children.get(args.block_id);
+    if (!blocks) throw new Error(`no block ${args.block_id}`);
+    return paginate(blocks.map(clean), args.start_cursor, 4);
+  }
+};
+
+(async () => {
+  const source = createRecordingSource(fake);
+  await fetchPosts(source, collection);
+  for (const id of children.keys()) {
+    if (id.startsWith('case-') || id.startsWith('page-')) await fetchPageContent(source, id);
+    else await fetchBlockChildren(source, id);
+  }
+  const count = source.save(path.join(__dirname, 'notion.json'));
+  console.log(`📼 Recorded ${count} Notion response(s) to test/fixtures/notion.json`);
+})();
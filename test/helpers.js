@@ -0,0 +1,111 @@
+// Shared setup for the test suite: fixture data source, render contexts and golden snapshots
+
+// Date mentions and formatted dates depend on the local timezone
+process.env.TZ = 'UTC';
+// The footer's copyright year is the build year
+process.env.SOURCE_DATE_EPOCH = String(Date.parse('2026-01-15T00:00:00Z') / 1000);
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReplaySource, fetchBlockChildren } = require('../lib/notion');
+const { createRenderContext, memoizeFetch } = require('../lib/render');
+const { hashFileUrl } = require('../lib/files');
+const { createPageLinks } = require('../lib/links');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'notion.json');
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+// Fixture pages (case-<name> in record-fixtures.js), each covering a group of block types
+const FIXTURE_CASES = [
+  'rich-text',
+  'headings',
+  'lists',
+  'quote',
+  'code',
+  'callout',
+  'media',
+  'toggle',
+  'table',
+  'columns',
+  'synced-block',
+  'links',
+  'equation',
+  'table-of-contents',
+  'skipped'
+];
+
+// Run with UPDATE_SNAPSHOTS=1 (npm run test:update) to rewrite the golden files
+const UPDATE_SNAPSHOTS = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+// Collection the fixtures were recorded for (output dirs point at a temp folder, nothing is written to the repo)
+const outputRoot = path.join(os.tmpdir(), 'fetch-notion-test');
+const collection = {
+  name: 'Thoughts',
+  databaseId: 'fixture-database',
+  properties: { title: 'Title', date: 'Published Date', tags: 'Tags', summary: 'Summary', slug: 'Slug' },
+  filter: { property: 'Status', select: { equals: 'Published' } },
+  sorts: [{ property: 'Published Date', direction: 'descending' }],
+  outputDir: 'thoughts',
+  urlPrefix: '/thoughts/',
+  indexTemplate: 'years',
+  feeds: true,
+  relatedPosts: 3,
+  dir: path.join(outputRoot, 'thoughts'),
+  imagesDir: path.join(outputRoot, 'thoughts', 'images'),
+  assetsDir: path.join(outputRoot, 'thoughts', 'assets'),
+  url: 'https://trankhiet.com/thoughts/'
+};
+
+// Stand-in for lib/files.js that returns the paths a real sync would use without downloading
+const fileStore = {
+  downloadImage: async (imageUrl, slug) => ({ path: `images/${slug}-${hashFileUrl(imageUrl)}.png`, skipped: true }),
+  resolveFileUrl: async (fileObject, slug) => (fileObject.type === 'external'
+    ? fileObject.external.url
+    : `assets/${slug}/${path.basename(fileObject.file.url.split('?')[0])}`)
+};
+
+// Published fixture posts that page mentions and child pages link to
+const pageLinks = createPageLinks([{
+  collection,
+  pages: [
+    { id: 'page-1', title: 'Hello World', slug: 'hello-world' },
+    { id: 'page-2', title: 'Second Post', slug: 'second-post' },
+    { id: 'page-3', title: 'Looking Back', slug: 'looking-back' }
+  ]
+}]);
+
+// Data source replaying the recorded fixture workspace
+function createFixtureSource() {
+  return createReplaySource(FIXTURE_PATH);
+}
+
+// Render context for `format` that reads blocks from `source` and never touches the network
+// (`options` override collection settings, e.g. { codeLineNumbers: true })
+function createTestContext(source, format = 'html', options = {}) {
+  const fetchChildren = memoizeFetch(blockId => fetchBlockChildren(source, blockId));
+  return createRenderContext('test-post', { ...collection, ...options }, { format, fetchChildren, fileStore, pageLinks });
+}
+
+// Compare `actual` with the golden file test/snapshots/<name> (written when UPDATE_SNAPSHOTS is set)
+function matchSnapshot(name, actual) {
+  const snapshotPath = path.join(SNAPSHOT_DIR, name);
+  if (UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+    fs.writeFileSync(snapshotPath, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(snapshotPath), `Missing snapshot ${name} (run npm run test:update to create it)`);
+  assert.strictEqual(actual, fs.readFileSync(snapshotPath, 'utf8'), `Snapshot ${name} does not match`);
+}
+
+module.exports = {
+  FIXTURE_CASES,
+  collection,
+  fileStore,
+  pageLinks,
+  createFixtureSource,
+  createTestContext,
+  matchSnapshot
+};
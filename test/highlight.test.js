@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { fetchPageContent } = require('../lib/notion');
+const { renderPostContent } = require('../lib/html');
+const { getGrammar, highlightCode, splitHighlightedLines } = require('../lib/highlight');
+const { createFixtureSource, createTestContext, matchSnapshot } = require('./helpers');
+
+test('getGrammar maps Notion language names to highlight.js grammars', () => {
+  assert.strictEqual(getGrammar('javascript'), 'javascript');
+  assert.strictEqual(getGrammar('c++'), 'cpp');
+  assert.strictEqual(getGrammar('c#'), 'csharp');
+  assert.strictEqual(getGrammar('shell'), 'bash');
+  assert.strictEqual(getGrammar('html'), 'xml');
+  assert.strictEqual(getGrammar('plain text'), 'plaintext');
+  assert.strictEqual(getGrammar('mermaid'), 'plaintext');
+  assert.strictEqual(getGrammar(''), 'plaintext');
+});
+
+test('highlightCode escapes code it has no grammar for', () => {
+  assert.deepStrictEqual(highlightCode('a < b', 'mermaid'), { grammar: 'plaintext', html: 'a &lt; b' });
+});
+
+test('splitHighlightedLines reopens spans that cross line breaks', () => {
+  const { html } = highlightCode('/* one\ntwo */\nx', 'javascript');
+  assert.deepStrictEqual(splitHighlightedLines(html), [
+    '<span class="hljs-comment">/* one</span>',
+    '<span class="hljs-comment">two */</span>',
+    'x'
+  ]);
+});
+
+test('renders code blocks with line numbers and copy buttons when enabled', async () => {
+  const source = createFixtureSource();
+  const blocks = await fetchPageContent(source, 'case-code');
+  const ctx = createTestContext(source, 'html', { codeLineNumbers: true, codeCopyButton: true });
+  matchSnapshot('html/code-line-numbers.html', `${await renderPostContent(blocks, ctx)}\n`);
+});
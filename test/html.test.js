@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { fetchPageContent } = require('../lib/notion');
+const { blocksToHtml, renderPostContent, richTextToHtml } = require('../lib/html');
+const { FIXTURE_CASES, createFixtureSource, createTestContext, matchSnapshot } = require('./helpers');
+
+for (const name of FIXTURE_CASES) {
+  test(`renders ${name} blocks to HTML`, async () => {
+    const source = createFixtureSource();
+    const blocks = await fetchPageContent(source, `case-${name}`);
+    const html = await renderPostContent(blocks, createTestContext(source));
+    matchSnapshot(`html/${name}.html`, `${html}\n`);
+  });
+}
+
+test('richTextToHtml returns an empty string for missing rich text', () => {
+  assert.strictEqual(richTextToHtml(undefined), '');
+  assert.strictEqual(richTextToHtml([]), '');
+});
+
+test('blocksToHtml only wraps consecutive list items of the same type together', async () => {
+  const source = createFixtureSource();
+  const blocks = await fetchPageContent(source, 'case-lists');
+  const html = await blocksToHtml(blocks, createTestContext(source));
+  assert.strictEqual((html.match(/<ul>/g) || []).length, 2); // top level + nested
+  assert.strictEqual((html.match(/<ol>/g) || []).length, 2); // split by the paragraph
+});
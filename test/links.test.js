@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { getNotionPageId, getPageHref, createPageLinks } = require('../lib/links');
+const { createRenderContext } = require('../lib/render');
+const { richTextToHtml } = require('../lib/html');
+const { collection } = require('./helpers');
+
+const pageId = '2d616761a428807b9bbfc15737e61581';
+const reading = { ...collection, name: 'Reading List', outputDir: 'reading' };
+const pageLinks = createPageLinks([
+  { collection, pages: [{ id: '2d616761-a428-807b-9bbf-c15737e61581', title: 'Hello World', slug: 'hello-world' }] },
+  { collection: reading, pages: [{ id: 'book-1', title: 'A Book', slug: 'a-book' }] }
+]);
+
+const link = (text, href) => ({ type: 'text', text: { content: text, link: { url: href } }, annotations: {}, plain_text: text, href });
+
+test('getNotionPageId reads page ids out of Notion URLs', () => {
+  assert.strictEqual(getNotionPageId(`https://www.notion.so/Hello-World-${pageId}`), pageId);
+  assert.strictEqual(getNotionPageId(`https://www.notion.so/workspace/${pageId}?pvs=4`), pageId);
+  assert.strictEqual(getNotionPageId(`https://khiet.notion.site/2d616761-a428-807b-9bbf-c15737e61581#abc`), pageId);
+  assert.strictEqual(getNotionPageId(`/${pageId}`), pageId);
+  assert.strictEqual(getNotionPageId(`https://example.com/${pageId}`), null);
+  assert.strictEqual(getNotionPageId(null), null);
+});
+
+test('getPageHref links relative to the linking collection', () => {
+  assert.strictEqual(getPageHref(pageLinks, pageId, collection), 'hello-world.html');
+  assert.strictEqual(getPageHref(pageLinks, 'book-1', collection), '../reading/a-book.html');
+  assert.strictEqual(getPageHref(pageLinks, 'missing', collection), null);
+});
+
+test('notion.so links point at published posts and unpublished ones are unlinked with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const ctx = createRenderContext('test-post', collection, { pageLinks });
+  const html = richTextToHtml([
+    link('Hello', `https://www.notion.so/Hello-World-${pageId}`),
+    link('Secret', 'https://www.notion.so/Secret-0123456789abcdef0123456789abcdef'),
+    link('Elsewhere', 'https://example.com/')
+  ], ctx);
+
+  assert.strictEqual(html, '<a href="hello-world.html">Hello</a>Secret<a href="https://example.com/" target="_blank" rel="noopener noreferrer">Elsewhere</a>');
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /"Secret" in test-post/);
+  assert.deepStrictEqual(Object.fromEntries(ctx.linkedPages), {
+    [pageId]: 'hello-world.html',
+    '0123456789abcdef0123456789abcdef': null
+  });
+});
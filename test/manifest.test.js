@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createManifest, isEditedNearSync } = require('../lib/manifest');
+
+test('isEditedNearSync re-renders pages edited in the minute of the last sync', () => {
+  const syncedAt = '2026-01-15T10:00:40.000Z';
+  assert.strictEqual(isEditedNearSync('2026-01-15T10:00:00.000Z', syncedAt), true);
+  assert.strictEqual(isEditedNearSync('2026-01-15T09:59:00.000Z', syncedAt), false);
+  assert.strictEqual(isEditedNearSync('2026-01-15T09:00:00.000Z', syncedAt), false);
+  assert.strictEqual(isEditedNearSync('2026-01-15T10:00:00.000Z', undefined), false);
+});
+
+test('the generator hash does not change with the copyright year', () => {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  try {
+    process.env.SOURCE_DATE_EPOCH = String(Date.parse('2026-12-31T00:00:00Z') / 1000);
+    const before = createManifest().generator;
+    process.env.SOURCE_DATE_EPOCH = String(Date.parse('2027-01-01T00:00:00Z') / 1000);
+    assert.strictEqual(createManifest().generator, before);
+  } finally {
+    if (epoch === undefined) delete process.env.SOURCE_DATE_EPOCH;
+    else process.env.SOURCE_DATE_EPOCH = epoch;
+  }
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { fetchPageContent } = require('../lib/notion');
+const { blocksToMarkdown, generatePostMarkdown } = require('../lib/markdown');
+const { FIXTURE_CASES, createFixtureSource, createTestContext, matchSnapshot } = require('./helpers');
+
+for (const name of FIXTURE_CASES) {
+  test(`renders ${name} blocks to Markdown`, async () => {
+    const source = createFixtureSource();
+    const blocks = await fetchPageContent(source, `case-${name}`);
+    const markdown = await blocksToMarkdown(blocks, createTestContext(source, 'markdown'));
+    matchSnapshot(`markdown/${name}.md`, `${markdown}\n`);
+  });
+}
+
+test('generatePostMarkdown adds front matter', () => {
+  const markdown = generatePostMarkdown(
+    { title: 'Hello "World"', date: '2026-01-05', slug: 'hello-world', tags: ['Life'] },
+    'Body text.'
+  );
+  matchSnapshot('markdown/post.md', markdown);
+});
+
+test('toggle summaries render inline equations', async () => {
+  const toggle = {
+    id: 'toggle-1',
+    type: 'toggle',
+    has_children: false,
+    toggle: {
+      rich_text: [
+        { type: 'text', text: { content: 'Why ' }, annotations: {}, plain_text: 'Why ', href: null },
+        { type: 'equation', equation: { expression: 'e^{i\\pi}' }, annotations: {}, plain_text: 'e^{i\\pi}', href: null }
+      ]
+    }
+  };
+  const markdown = await blocksToMarkdown([toggle], createTestContext(createFixtureSource(), 'markdown'));
+  assert.match(markdown, /^<details>\n<summary>Why <span class="inline-equation"><span class="katex">/);
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { renderMath, hasMath } = require('../lib/math');
+
+test('renderMath renders inline and display equations with MathML', () => {
+  const inline = renderMath('x^2', { slug: 'test-post' });
+  assert.match(inline, /^<span class="katex">/);
+  assert.match(inline, /<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML">/);
+  assert.match(renderMath('x^2', { displayMode: true, slug: 'test-post' }), /^<span class="katex-display">/);
+  assert.ok(hasMath(inline));
+  assert.ok(!hasMath('<p>x^2</p>'));
+});
+
+test('renderMath warns with the post slug and expression when parsing fails', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.strictEqual(renderMath('\\frac{1}{<b>', { slug: 'test-post' }), '<code class="equation-error">\\frac{1}{&lt;b&gt;</code>');
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /test-post: \\frac\{1\}\{<b>/);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createRecordingSource,
+  createReplaySource,
+  fetchPosts,
+  fetchPageContent,
+  fetchBlockChildren,
+  prefetchBlockTree,
+  getPageProperties
+} = require('../lib/notion');
+const { memoizeFetch, createRenderContext } = require('../lib/render');
+const { renderPostContent } = require('../lib/html');
+const { FIXTURE_CASES, collection, fileStore, pageLinks, createFixtureSource } = require('./helpers');
+
+test('fetchPosts follows query cursors through every page of results', async () => {
+  const pages = await fetchPosts(createFixtureSource(), collection);
+  assert.deepStrictEqual(pages.map(page => page.id), ['page-1', 'page-2', 'page-3']);
+});
+
+test('fetchPageContent follows block cursors', async () => {
+  const blocks = await fetchPageContent(createFixtureSource(), 'case-media');
+  assert.strictEqual(blocks.length, 14);
+});
+
+test('prefetchBlockTree fetches every block the renderers need, each one once', async () => {
+  const source = createFixtureSource();
+  const requested = [];
+  const counting = { ...source, listBlockChildren: args => { requested.push(args.block_id); return source.listBlockChildren(args); } };
+  const fetchChildren = memoizeFetch(blockId => fetchBlockChildren(counting, blockId));
+
+  for (const name of FIXTURE_CASES) {
+    const blocks = await fetchPageContent(source, `case-${name}`);
+    await prefetchBlockTree(fetchChildren, blocks);
+    const prefetched = requested.length;
+    await renderPostContent(blocks, createRenderContext('test-post', collection, { fetchChildren, fileStore, pageLinks }));
+    assert.strictEqual(requested.length, prefetched, `case-${name} fetched more blocks while rendering`);
+  }
+  assert.strictEqual(new Set(requested).size, requested.length);
+});
+
+test('memoizeFetch shares requests but not failures', async () => {
+  let calls = 0;
+  const fetchChildren = memoizeFetch(async (blockId) => {
+    calls++;
+    if (calls === 1) throw new Error('rate limited');
+    return [{ id: `${blockId}-child` }];
+  });
+
+  await assert.rejects(fetchChildren('block-1'), /rate limited/);
+  assert.deepStrictEqual(await fetchChildren('block-1'), [{ id: 'block-1-child' }]);
+  assert.strictEqual(fetchChildren('block-1'), fetchChildren('block-1'));
+  assert.strictEqual(calls, 2);
+});
+
+test('getPageProperties reads the collection properties', async () => {
+  const [page] = await fetchPosts(createFixtureSource(), collection);
+  assert.deepStrictEqual(getPageProperties(page, collection), {
+    title: 'Hello World',
+    date: '2026-01-05',
+    slug: 'hello-world',
+    tags: ['Life', 'Systems'],
+    summary: 'The first post.'
+  });
+});
+
+test('getPageProperties prefers the Slug property over the title', async () => {
+  const [page] = await fetchPosts(createFixtureSource(), collection);
+  const withSlug = {
+    ...page,
+    properties: { ...page.properties, Slug: { type: 'rich_text', rich_text: [{ plain_text: 'Hello Again!' }] } }
+  };
+  assert.strictEqual(getPageProperties(withSlug, collection).slug, 'hello-again');
+});
+
+test('replay fails clearly for requests that were not recorded', async () => {
+  await assert.rejects(
+    fetchPageContent(createFixtureSource(), 'missing-page'),
+    /No recorded response in notion\.json for listBlockChildren \{"block_id":"missing-page"\}/
+  );
+});
+
+test('a recording can be replayed', async () => {
+  const recordingPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-notion-')), 'recording.json');
+  const recorder = createRecordingSource(createFixtureSource());
+  const recorded = await fetchPageContent(recorder, 'case-lists');
+  assert.strictEqual(recorder.save(recordingPath), 2);
+
+  const replayed = await fetchPageContent(createReplaySource(recordingPath), 'case-lists');
+  assert.deepStrictEqual(replayed, recorded);
+  fs.rmSync(path.dirname(recordingPath), { recursive: true, force: true });
+});
@@ -0,0 +1,184 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { fetchPosts, fetchPageContent, getPageProperties } = require('../lib/notion');
+const { renderPostContent, getPostText } = require('../lib/html');
+const { renderMath } = require('../lib/math');
+const { getPostDetails, generatePostHtml, generateIndexHtml, generateTagPageHtml, generateTagIndexHtml, groupPostsByTag, getTagSlug, renderTagList } = require('../lib/pages');
+const { generateRssFeed } = require('../lib/feeds');
+const { generateSearchIndex } = require('../lib/search');
+const { getPostNavigation } = require('../lib/related');
+const { countWords, getReadingTime } = require('../lib/utils');
+const { collection, createFixtureSource, createTestContext, matchSnapshot } = require('./helpers');
+
+// Render every fixture post the way syncCollection does
+async function renderFixturePosts() {
+  const source = createFixtureSource();
+  const pages = await fetchPosts(source, collection);
+  const posts = [];
+  for (const page of pages) {
+    const blocks = await fetchPageContent(source, page.id);
+    const content = await renderPostContent(blocks, createTestContext(source));
+    posts.push(getPostDetails(getPageProperties(page, collection), page, content));
+  }
+  return posts;
+}
+
+test('generatePostHtml renders a full post page', async () => {
+  const posts = await renderFixturePosts();
+  const navigation = getPostNavigation(posts, collection.relatedPosts);
+  matchSnapshot('pages/post.html', generatePostHtml(posts[0], collection, navigation.get(posts[0].slug)));
+});
+
+test('generatePostHtml falls back to the first paragraph for the description', async () => {
+  const posts = await renderFixturePosts();
+  const post = posts.find(p => p.slug === 'second-post');
+  assert.strictEqual(post.description, 'Short and sweet.');
+  assert.match(generatePostHtml(post, collection), /<meta name="description" content="Short and sweet.">/);
+});
+
+test('getPostDetails counts words and estimates the reading time', () => {
+  assert.strictEqual(countWords('Hello, world — it’s a well-known phrase.'), 6);
+  assert.strictEqual(countWords(''), 0);
+  assert.strictEqual(getReadingTime(0), 1);
+  assert.strictEqual(getReadingTime(1100), 5);
+
+  const content = `<p>${'word '.repeat(660)}</p>`;
+  const post = getPostDetails({ title: 'Long', date: '2026-01-05', slug: 'long', tags: [] }, {}, content);
+  assert.strictEqual(post.wordCount, 660);
+  assert.strictEqual(post.readingTime, 3);
+});
+
+test('generatePostHtml shows the cover, icon and reading time in the post header', async () => {
+  const [post] = await renderFixturePosts();
+  const html = generatePostHtml({ ...post, cover: 'images/cover.png', icon: { emoji: '🌱' } }, collection);
+
+  assert.match(html, /<img class="post-cover" src="images\/cover.png" alt="">/);
+  assert.match(html, /<h1 class="post-title-full"><span class="post-icon" aria-hidden="true">🌱<\/span>/);
+  assert.match(html, new RegExp(`<span class="reading-time" title="${post.wordCount} words">1 min read</span>`));
+  assert.match(html, new RegExp(`"wordCount": ${post.wordCount}`));
+});
+
+test('generatePostHtml adds a sticky table of contents for collections with stickyToc', async () => {
+  const source = createFixtureSource();
+  const blocks = await fetchPageContent(source, 'case-table-of-contents');
+  const content = await renderPostContent(blocks, createTestContext(source));
+  const post = { title: 'Contents', date: '2026-01-05', slug: 'contents', tags: [], content };
+
+  assert.doesNotMatch(generatePostHtml(post, collection), /class="post-toc"/);
+  assert.match(
+    generatePostHtml(post, { ...collection, stickyToc: true }),
+    /<aside class="post-toc"><nav class="table-of-contents" aria-label="Table of contents"><ul><li><a href="#overview">Overview<\/a>/
+  );
+});
+
+test('generatePostHtml links the KaTeX stylesheet only on posts with equations', () => {
+  const post = { title: 'Math', date: '2026-01-05', slug: 'math', tags: [], content: renderMath('x^2', { slug: 'math' }) };
+  const stylesheet = '<link rel="stylesheet" href="../vendor/katex/katex.min.css">';
+
+  assert.ok(generatePostHtml(post, collection).includes(stylesheet));
+  assert.ok(!generatePostHtml({ ...post, content: '<p>x^2</p>' }, collection).includes(stylesheet));
+});
+
+test('generatePostHtml marks drafts and keeps preview pages out of search engines', async () => {
+  const [post] = await renderFixturePosts();
+  const published = generatePostHtml(post, collection);
+  const draft = generatePostHtml({ ...post, draft: true }, { ...collection, preview: true });
+
+  assert.doesNotMatch(published, /noindex|draft-banner/);
+  assert.match(draft, /<meta name="robots" content="noindex">/);
+  assert.match(draft, /<p class="draft-banner">/);
+});
+
+test('generateIndexHtml renders the year-grouped index', async () => {
+  const posts = await renderFixturePosts();
+  matchSnapshot('pages/index.html', generateIndexHtml(posts, collection));
+});
+
+test('generateIndexHtml supports the flat list template', async () => {
+  const posts = await renderFixturePosts();
+  matchSnapshot('pages/index-list.html', generateIndexHtml(posts, { ...collection, indexTemplate: 'list' }));
+});
+
+test('generateIndexHtml supports the card template', async () => {
+  const posts = await renderFixturePosts();
+  posts[0] = { ...posts[0], cover: 'images/cover.png', icon: { src: 'assets/hello-world/icon.png' } };
+  matchSnapshot('pages/index-cards.html', generateIndexHtml(posts, { ...collection, indexTemplate: 'cards' }));
+});
+
+test('generateTagPageHtml points card covers back at the collection folder', async () => {
+  const posts = await renderFixturePosts();
+  const post = { ...posts[0], cover: 'images/cover.png', icon: { src: 'https://example.com/icon.png' } };
+  const html = generateTagPageHtml('Notes', [post], { ...collection, indexTemplate: 'cards' });
+
+  assert.match(html, /<img src="..\/images\/cover.png" alt="" loading="lazy">/);
+  assert.match(html, /<img class="post-card-icon" src="https:\/\/example.com\/icon.png"/);
+});
+
+test('generateIndexHtml adds a search box for collections with search', async () => {
+  const posts = await renderFixturePosts();
+  assert.doesNotMatch(generateIndexHtml(posts, collection), /class="post-search"/);
+  assert.match(
+    generateIndexHtml(posts, { ...collection, search: true }),
+    /<form class="post-search" role="search" data-index="search.json" hidden>/
+  );
+});
+
+test('generateSearchIndex lists every post with its headings and body text', async () => {
+  const posts = await renderFixturePosts();
+  const index = JSON.parse(generateSearchIndex(posts));
+  assert.deepStrictEqual(index.posts[0], {
+    title: 'Hello World',
+    url: 'hello-world.html',
+    date: '2026-01-05',
+    tags: ['Life', 'Systems'],
+    headings: ['Intro'],
+    text: 'Intro Welcome to the site. Hello'
+  });
+  assert.deepStrictEqual(index.posts.map(post => post.url), ['hello-world.html', 'second-post.html', 'looking-back.html']);
+});
+
+test('generateSearchIndex indexes the whole text of long posts', () => {
+  const content = `<p>${'word '.repeat(1000)}ending</p>`;
+  const [entry] = JSON.parse(generateSearchIndex([{ title: 'Long', slug: 'long', date: '2026-01-05', content }])).posts;
+  assert.ok(entry.text.endsWith('word ending'));
+});
+
+test('getPostText leaves out the table of contents and copy buttons', async () => {
+  const source = createFixtureSource();
+  const blocks = await fetchPageContent(source, 'case-table-of-contents');
+  const text = getPostText(await renderPostContent(blocks, createTestContext(source)));
+  assert.ok(text.startsWith('Overview Details & notes'));
+  assert.strictEqual(getPostText('<figure><button class="code-copy">Copy</button><pre><code>x = 1</code></pre></figure>'), 'x = 1');
+});
+
+test('generateTagIndexHtml lists tags by post count', async () => {
+  const posts = await renderFixturePosts();
+  matchSnapshot('pages/tags.html', generateTagIndexHtml(groupPostsByTag(posts), collection));
+});
+
+test('getTagSlug never gives a tag an empty slug or another tag\'s slug', () => {
+  assert.strictEqual(getTagSlug('Machine Learning'), 'machine-learning');
+  assert.strictEqual(getTagSlug('machine  learning'), 'machine-learning');
+  assert.match(getTagSlug('日本'), /^tag-[0-9a-f]{6}$/);
+  assert.notStrictEqual(getTagSlug('日本'), getTagSlug('中国'));
+  assert.strictEqual(getTagSlug('C'), 'c');
+  assert.match(getTagSlug('C++'), /^c-[0-9a-f]{6}$/);
+  assert.notStrictEqual(getTagSlug('C++'), getTagSlug('C#'));
+});
+
+test('groupPostsByTag and renderTagList use the same tag slugs', () => {
+  const posts = [
+    { slug: 'a', tags: ['C', 'C++', '日本'] },
+    { slug: 'b', tags: ['c++'] }
+  ];
+  const groups = groupPostsByTag(posts);
+  assert.deepStrictEqual(groups.map(group => [group.tag, group.posts.length]), [['C++', 2], ['C', 1], ['日本', 1]]);
+  const links = [...renderTagList(posts[0].tags).matchAll(/href="tags\/([^"]+)\.html"/g)].map(match => match[1]);
+  assert.deepStrictEqual(links, ['c', getTagSlug('C++'), getTagSlug('日本')]);
+  assert.ok(groups.every(group => links.includes(group.slug)));
+});
+
+test('generateRssFeed uses absolute URLs', async () => {
+  const posts = await renderFixturePosts();
+  matchSnapshot('feeds/feed.xml', generateRssFeed(posts, collection));
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { ROOT_DIR } = require('../lib/config');
+const { parseArgs } = require('../lib/cli');
+const { PREVIEW_DIR, getPreviewCollection, getPreviewFilter, resolvePreviewFile } = require('../lib/preview');
+const { collection } = require('./helpers');
+
+const draftFilter = { property: 'Status', select: { equals: 'Draft' } };
+
+test('parseArgs reads the preview command and port', () => {
+  assert.strictEqual(parseArgs([]).command, 'sync');
+  assert.deepStrictEqual(
+    (({ command, port }) => ({ command, port }))(parseArgs(['preview', '--port', '5000'])),
+    { command: 'preview', port: 5000 }
+  );
+  assert.throws(() => parseArgs(['deploy']), /Unknown command/);
+  assert.throws(() => parseArgs(['preview', '--record', 'out.json']), /--record cannot be used with preview/);
+});
+
+test('getPreviewFilter adds drafts to the published filter', () => {
+  assert.deepStrictEqual(getPreviewFilter({ ...collection, draftFilter }), { or: [collection.filter, draftFilter] });
+  assert.deepStrictEqual(getPreviewFilter(collection), collection.filter);
+});
+
+test('getPreviewCollection writes into the preview folder', () => {
+  const preview = getPreviewCollection(collection);
+  assert.strictEqual(preview.dir, path.join(PREVIEW_DIR, 'thoughts'));
+  assert.strictEqual(preview.imagesDir, path.join(PREVIEW_DIR, 'thoughts', 'images'));
+  assert.strictEqual(preview.url, collection.url);
+  assert.strictEqual(preview.preview, true);
+});
+
+test('resolvePreviewFile serves repo files but never dotfiles', () => {
+  assert.strictEqual(resolvePreviewFile('/styles.css'), path.join(ROOT_DIR, 'styles.css'));
+  assert.strictEqual(resolvePreviewFile('/'), path.join(ROOT_DIR, 'index.html'));
+  assert.strictEqual(resolvePreviewFile('/.env'), null);
+  assert.strictEqual(resolvePreviewFile('/../package.json'), path.join(ROOT_DIR, 'package.json'));
+  assert.strictEqual(resolvePreviewFile('/.git/config'), null);
+  assert.strictEqual(resolvePreviewFile('/missing.html'), null);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { getPostNavigation } = require('../lib/related');
+
+const post = (slug, date, tags, text) => ({ title: slug, date, slug, tags, content: `<p>${text}</p>` });
+
+const posts = [
+  post('sourdough', '2026-03-01', ['Cooking'], 'Feeding the starter and baking sourdough bread every weekend.'),
+  post('garden', '2026-02-10', ['Life'], 'Planting tomatoes and herbs in the garden this spring.'),
+  post('rye-bread', '2026-01-20', [], 'A dense rye bread needs a lively sourdough starter and patience.'),
+  post('pasta', '2026-01-20', ['Cooking'], 'Fresh pasta with eggs and flour, rolled thin by hand.'),
+  post('running', '2025-12-01', ['Life'], 'Training for a first half marathon through the winter.')
+];
+
+test('getPostNavigation links each post to the next older and newer post', () => {
+  const navigation = getPostNavigation(posts, 3);
+  const slugs = slug => {
+    const { previous, next } = navigation.get(slug);
+    return [previous && previous.slug, next && next.slug];
+  };
+
+  assert.deepStrictEqual(slugs('sourdough'), ['garden', null]);
+  assert.deepStrictEqual(slugs('running'), [null, 'pasta']);
+  // Posts on the same day keep the collection's order (newest first)
+  assert.deepStrictEqual(slugs('pasta'), ['running', 'rye-bread']);
+  assert.deepStrictEqual(slugs('rye-bread'), ['pasta', 'garden']);
+});
+
+test('getPostNavigation ranks related posts by shared tags, then text similarity', () => {
+  const related = slug => getPostNavigation(posts, 3).get(slug).related.map(p => p.slug);
+
+  assert.deepStrictEqual(related('sourdough'), ['pasta', 'rye-bread']);
+  assert.deepStrictEqual(related('rye-bread'), ['sourdough']);
+  assert.deepStrictEqual(related('running'), ['garden']);
+});
+
+test('getPostNavigation limits the related posts', () => {
+  const tagged = posts.map(p => ({ ...p, tags: ['All'] }));
+  assert.strictEqual(getPostNavigation(tagged, 3).get('garden').related.length, 3);
+  assert.strictEqual(getPostNavigation(tagged, 1).get('garden').related.length, 1);
+  assert.deepStrictEqual(getPostNavigation(tagged, 0).get('garden').related, []);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('../lib/config');
+const {
+  renderTemplate,
+  getRootPrefix,
+  renderNav,
+  getCopyrightYear,
+  parseFrontMatter,
+  getPageSources,
+  renderPageSource
+} = require('../lib/templates');
+require('./helpers');
+
+test('renderTemplate fills in variables and partials without rescanning values', () => {
+  assert.strictEqual(renderTemplate('<p>{{ name }}</p>', { name: '{{other}}' }), '<p>{{other}}</p>');
+  assert.match(renderTemplate('{{> footer}}', { year: 2030, author: 'Someone' }), /© 2030 Someone\. All rights reserved\./);
+  assert.throws(() => renderTemplate('{{missing}}', {}), /Unknown template variable \{\{missing\}\}/);
+  assert.throws(() => renderTemplate('{{> nope}}', {}), /Template not found: templates\/partials\/nope.html/);
+});
+
+test('getRootPrefix leads back to the site root', () => {
+  assert.strictEqual(getRootPrefix('thoughts'), '../');
+  assert.strictEqual(getRootPrefix('thoughts/tags'), '../../');
+  assert.strictEqual(getRootPrefix('.'), '');
+});
+
+test('renderNav marks the link for the current page or section', () => {
+  assert.match(renderNav('index.html'), /<a href="index.html" class="nav-link active" aria-current="page">Home<\/a>/);
+  assert.match(renderNav('thoughts/tags/life.html'), /<a href="..\/index.html" class="nav-link active" aria-current="page">Thoughts<\/a>/);
+  assert.match(renderNav('thoughts/tags/life.html'), /<a href="..\/..\/index.html" class="nav-link">Home<\/a>/);
+  assert.doesNotMatch(renderNav('contact.html'), /active.*Home/);
+});
+
+test('getCopyrightYear follows SOURCE_DATE_EPOCH', () => {
+  assert.strictEqual(getCopyrightYear(), 2026);
+});
+
+test('parseFrontMatter splits the settings from the page body', () => {
+  assert.deepStrictEqual(parseFrontMatter('---\ntitle: Contact: me\n---\n<p>Hi</p>\n'), {
+    data: { title: 'Contact: me' },
+    body: '<p>Hi</p>\n'
+  });
+  assert.deepStrictEqual(parseFrontMatter('<p>Hi</p>'), { data: {}, body: '<p>Hi</p>' });
+});
+
+test('hand-written pages are up to date with templates/pages/ (run npm run pages)', () => {
+  assert.deepStrictEqual(getPageSources(), ['contact.html', 'index.html']);
+  getPageSources().forEach(file => {
+    const html = renderPageSource(file).replace(/© \d{4}/, '© YEAR');
+    const built = fs.readFileSync(path.join(ROOT_DIR, file), 'utf8').replace(/© \d{4}/, '© YEAR');
+    assert.strictEqual(built, html, `${file} is out of date`);
+  });
+});
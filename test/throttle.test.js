@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { isRetryableError, getRetryAfter, getRetryDelay, createThrottledSource } = require('../lib/throttle');
+
+// Notion client errors carry the HTTP status, an error code and the response headers
+const notionError = (status, code, headers = {}) => Object.assign(new Error(code), { status, code, headers });
+
+// Fake clock: sleeping advances it instead of waiting
+function createClock() {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+// Source whose listBlockChildren fails with the given errors before succeeding
+function createFlakySource(errors) {
+  const calls = [];
+  return {
+    calls,
+    queryDatabase: async () => ({ results: [] }),
+    listBlockChildren: async args => {
+      calls.push(args.block_id);
+      const error = errors.shift();
+      if (error) throw error;
+      return { results: [], has_more: false };
+    }
+  };
+}
+
+test('isRetryableError retries rate limits, server errors and dropped connections only', () => {
+  assert.ok(isRetryableError(notionError(429, 'rate_limited')));
+  assert.ok(isRetryableError(notionError(502)));
+  assert.ok(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+  assert.ok(!isRetryableError(notionError(404, 'object_not_found')));
+  assert.ok(!isRetryableError(notionError(400, 'validation_error')));
+});
+
+test('getRetryAfter reads seconds or an HTTP date from the Retry-After header', () => {
+  assert.strictEqual(getRetryAfter(notionError(429, 'rate_limited', { 'retry-after': '2' })), 2000);
+  assert.strictEqual(getRetryAfter(notionError(429, 'rate_limited', new Map([['retry-after', '0.5']]))), 500);
+  const now = Date.parse('2026-01-15T00:00:00Z');
+  assert.strictEqual(getRetryAfter(notionError(503, 'service_unavailable', { 'retry-after': 'Thu, 15 Jan 2026 00:00:03 GMT' }), now), 3000);
+  assert.strictEqual(getRetryAfter(notionError(502)), null);
+});
+
+test('getRetryDelay backs off exponentially up to the maximum', () => {
+  const limits = { baseDelay: 1000, maxDelay: 5000 };
+  assert.deepStrictEqual([0, 1, 2, 3].map(attempt => getRetryDelay(notionError(502), attempt, limits)), [1000, 2000, 4000, 5000]);
+  assert.strictEqual(getRetryDelay(notionError(429, 'rate_limited', { 'retry-after': '7' }), 0, limits), 7000);
+});
+
+test('createThrottledSource retries transient failures, honouring Retry-After', async () => {
+  const clock = createClock();
+  const source = createFlakySource([notionError(429, 'rate_limited', { 'retry-after': '3' }), notionError(502)]);
+  const throttled = createThrottledSource(source, { requestsPerSecond: Infinity, sleep: clock.sleep, now: clock.now });
+
+  await throttled.listBlockChildren({ block_id: 'a' });
+  assert.deepStrictEqual(source.calls, ['a', 'a', 'a']);
+  assert.deepStrictEqual(clock.sleeps, [3000, 2000]);
+  assert.deepStrictEqual(throttled.stats, { requests: 3, retries: 2 });
+});
+
+test('createThrottledSource gives up after the last retry and on permanent errors', async () => {
+  const clock = createClock();
+  const options = { requestsPerSecond: Infinity, retries: 2, sleep: clock.sleep, now: clock.now };
+
+  const failing = createFlakySource([1, 2, 3].map(() => notionError(503, 'service_unavailable')));
+  await assert.rejects(createThrottledSource(failing, options).listBlockChildren({ block_id: 'a' }), /service_unavailable/);
+  assert.strictEqual(failing.calls.length, 3);
+
+  const missing = createFlakySource([notionError(404, 'object_not_found')]);
+  await assert.rejects(createThrottledSource(missing, options).listBlockChildren({ block_id: 'b' }), /object_not_found/);
+  assert.strictEqual(missing.calls.length, 1);
+});
+
+test('createThrottledSource spaces requests out to the rate limit', async () => {
+  const clock = createClock();
+  const source = createFlakySource([]);
+  const throttled = createThrottledSource(source, { requestsPerSecond: 4, sleep: clock.sleep, now: clock.now });
+
+  await Promise.all(['a', 'b', 'c'].map(id => throttled.listBlockChildren({ block_id: id })));
+  assert.deepStrictEqual(source.calls, ['a', 'b', 'c']);
+  assert.strictEqual(clock.time, 500);
+});
+
+test('createThrottledSource keeps at most `concurrency` requests in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const source = {
+    listBlockChildren: async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return { results: [], has_more: false };
+    }
+  };
+  const throttled = createThrottledSource(source, { concurrency: 2, requestsPerSecond: Infinity });
+
+  await Promise.all([1, 2, 3, 4, 5].map(id => throttled.listBlockChildren({ block_id: id })));
+  assert.strictEqual(peak, 2);
+});
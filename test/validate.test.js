@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tokenizeHtml, checkPage, validateSite } = require('../lib/validate');
+
+// Site with the given files (and the ids on its pages) for checkPage
+function createSite(files) {
+  return {
+    fileExists: relPath => relPath in files,
+    getIds: relPath => (relPath in files ? new Set(files[relPath]) : null)
+  };
+}
+
+const issues = (html, files = {}) => checkPage(html, 'thoughts/post.html', createSite(files))
+  .map(issue => `${issue.check}: ${issue.message}`);
+
+test('tokenizeHtml skips comments and the content of scripts', () => {
+  const tags = tokenizeHtml('<!-- <b> --><p class="a">x</p><script>if (a < b) "<div>";</script>');
+  assert.deepStrictEqual(tags.map(tag => `${tag.closing ? '/' : ''}${tag.name}`), ['p', '/p', 'script', '/script']);
+  assert.deepStrictEqual(tags[0].attributes, { class: 'a' });
+});
+
+test('checkPage reports broken links and missing files', () => {
+  const files = { 'thoughts/post.html': ['top'], 'thoughts/other.html': ['intro'], 'thoughts/images/a.png': [], 'styles.css': [] };
+  const html = [
+    '<link rel="stylesheet" href="../styles.css">',
+    '<a href="other.html#intro">ok</a><a href="/thoughts/other">ok</a><a href="https://example.com/x">ok</a>',
+    '<a href="#top">ok</a><a href="missing.html">x</a><a href="other.html#nope">x</a><a href="#bottom">x</a>',
+    '<img src="images/a.png" alt="A"><img src="images/b.png" alt="B"><a href="assets/doc.pdf">x</a>'
+  ].join('\n');
+
+  assert.deepStrictEqual(issues(html, files), [
+    'brokenLinks: missing.html',
+    'brokenLinks: other.html#nope (no element with id "nope")',
+    'brokenLinks: #bottom (no element with id "bottom")',
+    'missingAssets: images/b.png',
+    'missingAssets: assets/doc.pdf'
+  ]);
+});
+
+test('checkPage reports signed S3 URLs, missing alt text and duplicate ids', () => {
+  const signed = 'https://prod-files-secure.s3.us-west-2.amazonaws.com/ws/pic.png?X-Amz-Algorithm=AWS4&amp;X-Amz-Signature=abc';
+  const html = [
+    `<figure><img src="${signed}" alt=""></figure>`,
+    '<img class="icon" src="https://example.com/icon.png" alt="">',
+    '<img src="https://example.com/photo.png">',
+    '<h2 id="notes">Notes</h2><h2 id="notes">More notes</h2>'
+  ].join('\n');
+
+  assert.deepStrictEqual(issues(html), [
+    'duplicateIds: id="notes"',
+    `missingAlt: ${signed.replace('&amp;', '&')}`,
+    'missingAlt: https://example.com/photo.png',
+    'signedUrls: https://prod-files-secure.s3.us-west-2.amazonaws.com/ws/pic.png'
+  ]);
+});
+
+test('checkPage reports unbalanced tags with their line', () => {
+  const html = '<div>\n<p>Second <Post> & Co</p>\n</span>\n<br></br>\n<section>';
+  assert.deepStrictEqual(checkPage(html, 'index.html', createSite({})).map(issue => `${issue.line}: ${issue.message}`), [
+    '2: <post> isn\'t closed before </p>',
+    '3: </span> without a matching <span>',
+    '4: </br> (it has no closing tag)',
+    '1: <div> is never closed',
+    '5: <section> is never closed'
+  ]);
+  assert.deepStrictEqual(issues('<svg><path d="M0 0"/></svg><p>ok<br></p>'), []);
+});
+
+test('validateSite reports per page and applies the configured levels', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-test-'));
+  fs.mkdirSync(path.join(rootDir, 'thoughts', 'tags'), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, 'index.html'), '<a href="thoughts/">Thoughts</a>');
+  fs.writeFileSync(path.join(rootDir, 'thoughts', 'index.html'), '<a href="post.html">Post</a><a href="gone.html">Gone</a>');
+  fs.writeFileSync(path.join(rootDir, 'thoughts', 'post.html'), '<figure><img src="images/a.png"></figure>');
+  fs.writeFileSync(path.join(rootDir, 'thoughts', 'tags', 'life.html'), '<a href="../post.html">Post</a>');
+
+  try {
+    const report = validateSite(rootDir, { brokenLinks: 'error', missingAssets: 'warn', missingAlt: 'off' });
+    assert.strictEqual(report.checked, 4);
+    assert.deepStrictEqual(report.pages.map(page => [page.file, page.issues.map(issue => `${issue.level} ${issue.check}`)]), [
+      ['thoughts/index.html', ['error brokenLinks']],
+      ['thoughts/post.html', ['warn missingAssets']]
+    ]);
+    assert.strictEqual(report.errors, 1);
+    assert.strictEqual(report.warnings, 1);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});